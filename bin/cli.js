@@ -2,10 +2,10 @@
 
 const { program, Option } = require('commander');
 const path = require('path');
-const fs = require('fs');
 const readline = require('readline');
 const { version } = require('../package.json');
-const { ALWAYS_IGNORE_PATTERNS, DEFAULT_IGNORE_PATTERNS, DEFAULT_MAX_FILE_SIZE, DEFAULT_REPLACEMENT_RATIO, MIN_FILE_SIZE, MAX_FILE_SIZE, parseFileSize, prettyFileSize, serializeRepo } = require('../src/index');
+const { parseEncodingOverrides } = require('../src/encodings');
+const { ALWAYS_IGNORE_PATTERNS, DEFAULT_DELIMITER, DEFAULT_IGNORE_PATTERNS, DELIMITER_STYLES, DEFAULT_MAX_FILE_SIZE, DEFAULT_MAX_IMAGE_SIZE, DEFAULT_OUTPUT_FORMAT, DEFAULT_REPLACEMENT_RATIO, DEFAULT_SYMLINKS, MIN_FILE_SIZE, MAX_FILE_SIZE, OUTPUT_FORMATS, SYMLINK_MODES, TRUNCATE_MODES, deserializeRepo, explainPath, parseFileSize, prettyFileSize, serializeRepo } = require('../src/index');
 
 // Setup readline interface for prompts
 const rl = readline.createInterface({
@@ -27,25 +27,58 @@ async function prompt(question) {
 }
 
 /**
- * Handles the case where output files already exist
+ * Handles the case where output files already exist (serializeRepo only asks when they do,
+ * which includes the parts and index of a split content file)
  * Prompts user for confirmation to overwrite
  */
-async function handleExistingFiles(outputDir, structureFile, contentFile) {
-    const structurePath = path.join(outputDir, structureFile);
-    const contentPath = path.join(outputDir, contentFile);
-
-    if (fs.existsSync(structurePath) || fs.existsSync(contentPath)) {
-        const answer = await prompt('Output files already exist. Overwrite? [Y/n] ');
-        if (answer === 'n' || answer === 'no') {
-            console.log('Operation cancelled.');
-            process.exit(0);
+async function handleExistingFiles() {
+    const answer = await prompt('Output files already exist. Overwrite? [Y/n] ');
+    if (answer === 'n' || answer === 'no') {
+        console.log('Operation cancelled.');
+        process.exit(0);
+    }
+    console.log('');
+}
+
+/**
+ * Formats the explanation of a path for the explain command
+ * @param {import('../src/index').PathExplanation} explanation - The explanation
+ * @param {boolean} hasIncludePatterns - Whether include patterns were given
+ * @returns {string} - The explanation, one finding per line
+ */
+function formatExplanation(explanation, hasIncludePatterns) {
+    const { rule, text } = explanation;
+    const verdict = explanation.type === 'directory' ? ['walked', 'not walked'] : ['serialized', 'not serialized'];
+    const lines = [`${explanation.path}: ${explanation.serialized ? verdict[0] : verdict[1]}`];
+
+    if (explanation.type === null) {
+        lines.push('  Path does not exist');
+    }
+    if (rule) {
+        const where = rule.line !== null ? `${rule.origin}, line ${rule.line}` : rule.origin;
+        lines.push(`  ${explanation.ignored ? 'Ignored' : 'Re-included'}: ${rule.pattern} (${where})`);
+    } else {
+        lines.push('  Not ignored: no ignore pattern matches');
+    }
+    if (hasIncludePatterns && explanation.type !== 'directory') {
+        lines.push(`  Include patterns: ${explanation.included ? 'matched' : 'not matched'}`);
+    }
+    if (explanation.type === 'symlink' || explanation.type === 'special') {
+        lines.push(`  Not a regular file: ${explanation.type === 'symlink' ? 'symbolic link (see --symlinks)' : 'special file'}`);
+    }
+    if (text) {
+        lines.push(`  Text detection: ${text.text ? `text, read as ${text.encoding}` : 'not text'} (${text.reason})`);
+        if (explanation.tooLarge) {
+            lines.push(`  Size: ${explanation.size} bytes, over the max file size (see --max-file-size and --truncate)`);
         }
-        console.log('');
     }
+    return lines.join('\n');
 }
 
 program
     .name('repo-serialize')
+    // Keep subcommand options (e.g. restore -o) from being claimed by the root command
+    .enablePositionalOptions()
     .description([
         'Serialize a repository\'s structure and contents into readable text files',
         '',
@@ -59,17 +92,40 @@ program
     // Input/Output Options
     .option('-d, --dir <directory>', 'Target directory to serialize', process.cwd())
     .option('-o, --output <directory>', 'Output directory for generated files', process.cwd())
-    .option('-s, --structure-file <filename>', 'Name of the structure output file', 'repo_structure.txt')
-    .option('-c, --content-file <filename>', 'Name of the content output file', 'repo_content.txt')
+    .option('-s, --structure-file <filename>', 'Name of the structure output file (default: "repo_structure.<format extension>")')
+    .option('-c, --content-file <filename>', 'Name of the content output file (default: "repo_content.<format extension>")')
+    .addOption(new Option('--format <format>', 'Output format for the structure and content files').choices(Object.keys(OUTPUT_FORMATS)).default(DEFAULT_OUTPUT_FORMAT))
 
     // Processing Options
     .option('-m, --max-file-size <size>', `Maximum file size to process (${prettyFileSize(MIN_FILE_SIZE)}-${prettyFileSize(MAX_FILE_SIZE)}). Accepts units: B, KB, MB`, prettyFileSize(DEFAULT_MAX_FILE_SIZE))
+    .addOption(new Option('--truncate <mode>', 'Keep the head, tail or head+tail of files larger than the max file size instead of skipping them').choices(TRUNCATE_MODES))
     .option('-a, --all', 'Disable default ignore patterns')
-    .option('-g, --no-gitignore', 'Disable .gitignore processing')
+    .option('-g, --no-gitignore', 'Disable .gitignore and git exclude file processing')
     .option('-i, --ignore <patterns...>', 'Additional patterns to ignore')
+    .option('--include <patterns...>', 'Only serialize files matching these patterns (ignore rules still apply)')
+    .option('--git-tracked', 'Only serialize files in the git index (committed or staged) instead of walking the directory', false)
+    .option('--rev <commit-ish>', 'Serialize the tree of a git commit from the target directory\'s repository instead of the working directory')
+    .option('--since <ref>', 'Only serialize files added or modified relative to a git ref; deleted files are listed in the structure file')
+    .option('--diff-context <lines>', 'With --since, serialize modified files as diffs with this many context lines instead of in full')
+    .option('--budget <limit>', 'Only serialize the highest priority files that fit a token count (e.g. 100000) or a size (e.g. 512KB); the rest are listed as omitted in the structure file')
+    .option('--priority <patterns...>', 'With --budget, pack files matching these patterns first, in the order given')
+    .option('--split <size>', 'Write the content file in numbered parts of at most this size (e.g. 1MB), with an index file mapping each file to its parts')
+    .addOption(new Option('--symlinks <mode>', 'Leave symbolic links out (skip), serialize links to files and list other links with their targets (list), or serialize what they point to (follow)').choices(SYMLINK_MODES).default(DEFAULT_SYMLINKS))
+    .option('--binary-placeholders', 'Write a placeholder with the type, size, SHA-256 and image dimensions of each binary file to the content file', false)
+    .option('--embed-images', 'Embed PNG, JPEG, GIF, WebP and SVG images in the content file as base64 data URIs (attachments in the json format)', false)
+    .option('--max-image-size <size>', 'With --embed-images, the maximum size of an embedded image. Accepts units: B, KB, MB', prettyFileSize(DEFAULT_MAX_IMAGE_SIZE))
+    .option('--line-numbers', 'Prefix each line of file content with its line number, so it can be referred to as "line 142 of src/index.js"', false)
+    .option('--file-metadata', 'Record the size, line count, language, last-modified time and a short SHA-256 of each text file (a METADATA line in the text format)', false)
+    .option('--toc', 'Start the content file with a table of contents listing the line each file starts at (links to the files in the markdown format)', false)
+    .option('--annotate', 'Annotate the structure tree with sizes, line and token counts and directory totals, and mark files left out of the content file with the reason', false)
+    .option('--show-ignored', 'Keep ignored files and directories in the structure tree, marked with the ignore file or patterns that exclude them; ignored directories are collapsed into a count of their entries', false)
     .option('--hierarchical', 'Use hierarchical (alphabetical) ordering for content file', false)
     .option('-r, --max-replacement-ratio <ratio>', `Maximum ratio of replacement characters allowed (0-1)`, DEFAULT_REPLACEMENT_RATIO)
     .option('--keep-replacement-chars', 'Keep replacement characters in output', false)
+    .option('--encoding <overrides...>', 'Read files matching a pattern in an encoding instead of detecting it, as pattern=encoding (e.g. "legacy/*.c=latin1")')
+    .option('--tokenizer <name>', 'How tokens are counted: auto (gpt-tokenizer if installed, otherwise chars/4), chars, or a tokenizer module name or path', 'auto')
+    .option('--max-tokens <count>', 'Fail without writing any output when the content file exceeds this many tokens')
+    .addOption(new Option('--delimiter <style>', 'File delimiters for the text format: fixed separators, or a random boundary token that never occurs in any file').choices(DELIMITER_STYLES).default(DEFAULT_DELIMITER))
 
     // Behavior Options
     .option('-f, --force', 'Overwrite existing files without prompting', false)
@@ -85,19 +141,42 @@ program
             const config = {
                 repoRoot: path.resolve(options.dir),
                 outputDir: path.resolve(options.output),
-                structureFile: options.structureFile,
-                contentFile: options.contentFile,
+                format: options.format,
+                structureFile: options.structureFile || `repo_structure${OUTPUT_FORMATS[options.format].extension}`,
+                contentFile: options.contentFile || `repo_content${OUTPUT_FORMATS[options.format].extension}`,
                 additionalIgnorePatterns: options.ignore || [],
+                includePatterns: options.include || [],
+                gitTracked: options.gitTracked,
+                rev: options.rev,
+                changedSince: options.since,
+                diffContext: options.diffContext === undefined ? null : Number(options.diffContext),
                 force: options.force,
                 isCliCall: true,
                 maxFileSize: parseFileSize(options.maxFileSize),
+                truncate: options.truncate,
                 ignoreDefaultPatterns: options.all,
                 noGitignore: !options.gitignore,  // Commander sets gitignore=false when --no-gitignore is used
                 silent: options.silent,
                 verbose: options.verbose,
                 hierarchicalContent: options.hierarchical,
                 maxReplacementRatio: parseFloat(options.maxReplacementRatio),
-                keepReplacementChars: options.keepReplacementChars || false
+                keepReplacementChars: options.keepReplacementChars || false,
+                delimiter: options.delimiter,
+                tokenizer: options.tokenizer,
+                maxTokens: options.maxTokens === undefined ? null : Number(options.maxTokens),
+                budget: options.budget,
+                priorityPatterns: options.priority || [],
+                split: options.split === undefined ? null : parseFileSize(options.split),
+                symlinks: options.symlinks,
+                binaryPlaceholders: options.binaryPlaceholders,
+                embedImages: options.embedImages,
+                maxImageSize: parseFileSize(options.maxImageSize),
+                encodings: parseEncodingOverrides(options.encoding || []),
+                lineNumbers: options.lineNumbers,
+                fileMetadata: options.fileMetadata,
+                toc: options.toc,
+                annotate: options.annotate,
+                showIgnored: options.showIgnored
             };
 
             // Validate maxReplacementRatio
@@ -109,7 +188,7 @@ program
                 await serializeRepo(config);
             } catch (error) {
                 if (error.message === 'PROMPT_REQUIRED') {
-                    await handleExistingFiles(config.outputDir, config.structureFile, config.contentFile);
+                    await handleExistingFiles();
                     // Retry with force after user confirmation
                     await serializeRepo({ ...config, force: true });
                 } else {
@@ -124,4 +203,86 @@ program
         }
     });
 
+program
+    .command('restore')
+    .description('Recreate the files of a content snapshot in a target directory')
+    .argument('[snapshot]', 'Content file to restore from, or the index file of a split content file', 'repo_content.txt')
+    .option('-o, --output <directory>', 'Directory to restore the files into', process.cwd())
+    .option('-f, --force', 'Overwrite existing files without prompting', false)
+    .option('-n, --dry-run', 'List the files that would be restored without writing them', false)
+    .option('--verbose', 'Log every restored file', false)
+    .action(async (snapshot, options) => {
+        try {
+            const config = {
+                contentFile: path.resolve(snapshot),
+                outputDir: path.resolve(options.output),
+                force: options.force,
+                dryRun: options.dryRun,
+                isCliCall: true,
+                verbose: options.verbose
+            };
+
+            try {
+                deserializeRepo(config);
+            } catch (error) {
+                if (error.message === 'PROMPT_REQUIRED') {
+                    const answer = await prompt('Files already exist in target directory. Overwrite? [Y/n] ');
+                    if (answer === 'n' || answer === 'no') {
+                        console.log('Operation cancelled.');
+                        process.exit(0);
+                    }
+                    console.log('');
+                    // Retry with force after user confirmation
+                    deserializeRepo({ ...config, force: true });
+                } else {
+                    throw error;
+                }
+            }
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        } finally {
+            rl.close();
+        }
+    });
+
+program
+    .command('explain')
+    .description('Explain why a path is serialized or left out: the ignore rule that decides it, include patterns, and text detection')
+    .argument('<path>', 'File or directory to explain, relative to the current directory')
+    .option('-d, --dir <directory>', 'Target directory that would be serialized', process.cwd())
+    .option('-m, --max-file-size <size>', 'Maximum file size to process. Accepts units: B, KB, MB', prettyFileSize(DEFAULT_MAX_FILE_SIZE))
+    .addOption(new Option('--truncate <mode>', 'Keep the head, tail or head+tail of files larger than the max file size instead of skipping them').choices(TRUNCATE_MODES))
+    .option('-a, --all', 'Disable default ignore patterns')
+    .option('-g, --no-gitignore', 'Disable .gitignore and git exclude file processing')
+    .option('-i, --ignore <patterns...>', 'Additional patterns to ignore')
+    .option('--include <patterns...>', 'Only serialize files matching these patterns')
+    .addOption(new Option('--symlinks <mode>', 'How symbolic links are handled').choices(SYMLINK_MODES).default(DEFAULT_SYMLINKS))
+    .option('-r, --max-replacement-ratio <ratio>', 'Maximum ratio of replacement characters allowed (0-1)', DEFAULT_REPLACEMENT_RATIO)
+    .option('--encoding <overrides...>', 'Read files matching a pattern in an encoding instead of detecting it, as pattern=encoding')
+    .option('--json', 'Print the explanation as JSON', false)
+    .action((target, options) => {
+        try {
+            const explanation = explainPath({
+                path: path.resolve(target),
+                repoRoot: path.resolve(options.dir),
+                additionalIgnorePatterns: options.ignore || [],
+                includePatterns: options.include || [],
+                ignoreDefaultPatterns: options.all,
+                noGitignore: !options.gitignore,
+                maxFileSize: parseFileSize(options.maxFileSize),
+                truncate: options.truncate,
+                maxReplacementRatio: parseFloat(options.maxReplacementRatio),
+                encodings: parseEncodingOverrides(options.encoding || []),
+                symlinks: options.symlinks
+            });
+            console.log(options.json ? JSON.stringify(explanation, null, 2) : formatExplanation(explanation, Boolean(options.include)));
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        } finally {
+            rl.close();
+        }
+    });
+
 program.parse();
\ No newline at end of file
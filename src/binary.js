@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+
+/** @constant {number} HEADER_LENGTH - Bytes read from the start of a binary file to detect its type and image dimensions */
+const HEADER_LENGTH = 64 * 1024;
+
+/** @constant {number} HASH_CHUNK_LENGTH - Bytes read at a time while hashing a file */
+const HASH_CHUNK_LENGTH = 1024 * 1024;
+
+/** @constant {{type: string, mime: string}} UNKNOWN_TYPE - The type reported when no signature matches */
+const UNKNOWN_TYPE = { type: 'unknown', mime: 'application/octet-stream' };
+
+/** @constant {number} BINARY_CONTROL_RATIO - Share of control bytes above which the start of a file is taken to be binary rather than text */
+const BINARY_CONTROL_RATIO = 0.05;
+
+/** @constant {string[]} EMBEDDABLE_IMAGE_TYPES - MIME types of the images that can be embedded in the content file as data URIs */
+const EMBEDDABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+
+/**
+ * File types recognized by their magic bytes, checked in order.
+ * Each signature is a list of [offset, hex bytes] pairs that must all match.
+ * @constant {{type: string, mime: string, signature: Array<[number, string]>}[]} BINARY_SIGNATURES
+ */
+const BINARY_SIGNATURES = [
+    { type: 'PNG image', mime: 'image/png', signature: [[0, '89504e470d0a1a0a']] },
+    { type: 'JPEG image', mime: 'image/jpeg', signature: [[0, 'ffd8ff']] },
+    { type: 'GIF image', mime: 'image/gif', signature: [[0, '474946383761']] },
+    { type: 'GIF image', mime: 'image/gif', signature: [[0, '474946383961']] },
+    { type: 'WebP image', mime: 'image/webp', signature: [[0, '52494646'], [8, '57454250']] },
+    { type: 'WAV audio', mime: 'audio/wav', signature: [[0, '52494646'], [8, '57415645']] },
+    { type: 'AVI video', mime: 'video/x-msvideo', signature: [[0, '52494646'], [8, '41564920']] },
+    { type: 'TIFF image', mime: 'image/tiff', signature: [[0, '49492a00']] },
+    { type: 'TIFF image', mime: 'image/tiff', signature: [[0, '4d4d002a']] },
+    { type: 'ICO icon', mime: 'image/x-icon', signature: [[0, '00000100']] },
+    { type: 'Photoshop image', mime: 'image/vnd.adobe.photoshop', signature: [[0, '38425053']] },
+    { type: 'BMP image', mime: 'image/bmp', signature: [[0, '424d']] },
+    { type: 'PDF document', mime: 'application/pdf', signature: [[0, '255044462d']] },
+    { type: 'ZIP archive', mime: 'application/zip', signature: [[0, '504b0304']] },
+    { type: 'ZIP archive', mime: 'application/zip', signature: [[0, '504b0506']] },
+    { type: 'gzip archive', mime: 'application/gzip', signature: [[0, '1f8b']] },
+    { type: 'bzip2 archive', mime: 'application/x-bzip2', signature: [[0, '425a68']] },
+    { type: 'xz archive', mime: 'application/x-xz', signature: [[0, 'fd377a585a00']] },
+    { type: 'Zstandard archive', mime: 'application/zstd', signature: [[0, '28b52ffd']] },
+    { type: '7-Zip archive', mime: 'application/x-7z-compressed', signature: [[0, '377abcaf271c']] },
+    { type: 'RAR archive', mime: 'application/vnd.rar', signature: [[0, '526172211a07']] },
+    { type: 'tar archive', mime: 'application/x-tar', signature: [[257, '7573746172']] },
+    { type: 'ELF executable', mime: 'application/x-elf', signature: [[0, '7f454c46']] },
+    { type: 'Mach-O executable', mime: 'application/x-mach-binary', signature: [[0, 'feedface']] },
+    { type: 'Mach-O executable', mime: 'application/x-mach-binary', signature: [[0, 'feedfacf']] },
+    { type: 'Mach-O executable', mime: 'application/x-mach-binary', signature: [[0, 'cefaedfe']] },
+    { type: 'Mach-O executable', mime: 'application/x-mach-binary', signature: [[0, 'cffaedfe']] },
+    { type: 'Windows executable', mime: 'application/vnd.microsoft.portable-executable', signature: [[0, '4d5a']] },
+    { type: 'WebAssembly module', mime: 'application/wasm', signature: [[0, '0061736d']] },
+    { type: 'Java class file', mime: 'application/java-vm', signature: [[0, 'cafebabe']] },
+    { type: 'SQLite database', mime: 'application/vnd.sqlite3', signature: [[0, '53514c69746520666f726d6174203300']] },
+    { type: 'WOFF font', mime: 'font/woff', signature: [[0, '774f4646']] },
+    { type: 'WOFF2 font', mime: 'font/woff2', signature: [[0, '774f4632']] },
+    { type: 'TrueType font', mime: 'font/ttf', signature: [[0, '0001000000']] },
+    { type: 'OpenType font', mime: 'font/otf', signature: [[0, '4f54544f']] },
+    { type: 'MP3 audio', mime: 'audio/mpeg', signature: [[0, '494433']] },
+    { type: 'Ogg media', mime: 'audio/ogg', signature: [[0, '4f676753']] },
+    { type: 'FLAC audio', mime: 'audio/flac', signature: [[0, '664c6143']] },
+    { type: 'MP4 media', mime: 'video/mp4', signature: [[4, '66747970']] },
+];
+
+/**
+ * Metadata describing a binary file left out of the content file
+ * @typedef {Object} BinaryInfo
+ * @property {string} type - The file type detected from its magic bytes, or 'unknown'
+ * @property {string} mime - The MIME type, application/octet-stream when unknown
+ * @property {string} sha256 - The SHA-256 hash of the file content, in hex
+ * @property {number} [width] - The image width in pixels (PNG, JPEG, GIF, BMP and WebP images only)
+ * @property {number} [height] - The image height in pixels (PNG, JPEG, GIF, BMP and WebP images only)
+ */
+
+/**
+ * Detects the type of a file from its magic bytes
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {{type: string, mime: string}} - The detected type, or UNKNOWN_TYPE
+ */
+function detectBinaryType(header) {
+    const match = BINARY_SIGNATURES.find(({ signature }) => signature.every(([offset, hex]) => {
+        const bytes = Buffer.from(hex, 'hex');
+        return header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes);
+    }));
+    return match ? { type: match.type, mime: match.mime } : UNKNOWN_TYPE;
+}
+
+/**
+ * Measures the share of control bytes in a buffer: the bytes below 0x20 other than tab, line feed, vertical tab,
+ * form feed and carriage return. Text hardly has any, while random or compressed data has about one in ten.
+ * @param {Buffer} buffer - The first bytes of a file
+ * @returns {number} - The share, between 0 and 1 (0 for an empty buffer)
+ */
+function controlByteRatio(buffer) {
+    if (buffer.length === 0) return 0;
+    let count = 0;
+    for (const byte of buffer) {
+        if (byte < 0x09 || (byte > 0x0D && byte < 0x20)) count++;
+    }
+    return count / buffer.length;
+}
+
+/**
+ * Tells why the first bytes of a file look binary rather than like text that could not be decoded:
+ * they start with a known signature, contain NUL bytes, or have more control bytes than text has
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {string|null} - The reason, as in 'PNG image signature', or null if the bytes may be text
+ */
+function explainBinaryContent(header) {
+    const { type } = detectBinaryType(header);
+    if (type !== 'unknown') return `${type} signature`;
+    if (header.includes(0)) return 'contains NUL bytes';
+    if (controlByteRatio(header) > BINARY_CONTROL_RATIO) return 'too many control bytes';
+    return null;
+}
+
+/**
+ * Reads the dimensions of a JPEG image from its first start-of-frame segment
+ * @param {Buffer} header - The first bytes of the image
+ * @returns {{width: number, height: number}|null} - The dimensions, or null if no frame header is within the bytes read
+ */
+function readJpegDimensions(header) {
+    let offset = 2;
+    while (offset + 9 <= header.length) {
+        if (header[offset] !== 0xff) return null;
+        const marker = header[offset + 1];
+        if (marker === 0xff) {
+            // Fill bytes before a marker
+            offset++;
+        } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: header.readUInt16BE(offset + 7), height: header.readUInt16BE(offset + 5) };
+        } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+            // Markers without a length
+            offset += 2;
+        } else {
+            offset += 2 + header.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads the dimensions of a WebP image from its first chunk
+ * @param {Buffer} header - The first bytes of the image
+ * @returns {{width: number, height: number}|null} - The dimensions, or null if the chunk is not recognized
+ */
+function readWebpDimensions(header) {
+    if (header.length < 30) return null;
+    const chunk = header.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = header.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Reads the dimensions of an image from the header of its file, for the formats where that is cheap
+ * @param {Buffer} header - The first bytes of the file
+ * @param {string} mime - The MIME type detected from the magic bytes
+ * @returns {{width: number, height: number}|null} - The dimensions, or null if they cannot be read
+ */
+function readImageDimensions(header, mime) {
+    switch (mime) {
+        case 'image/png':
+            if (header.length < 24 || header.toString('latin1', 12, 16) !== 'IHDR') return null;
+            return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+        case 'image/gif':
+            if (header.length < 10) return null;
+            return { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+        case 'image/bmp':
+            if (header.length < 26) return null;
+            if (header.readUInt32LE(14) === 12) {
+                // OS/2 bitmaps have 16-bit dimensions
+                return { width: header.readUInt16LE(18), height: header.readUInt16LE(20) };
+            }
+            // A negative height means the rows are stored top-down
+            return { width: header.readInt32LE(18), height: Math.abs(header.readInt32LE(22)) };
+        case 'image/jpeg':
+            return readJpegDimensions(header);
+        case 'image/webp':
+            return readWebpDimensions(header);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Detects whether a file is an image that can be embedded, from its magic bytes or, for SVG images,
+ * which are text, from its extension and root element
+ * @param {Buffer} header - The first bytes of the file
+ * @param {string} relativePath - The path of the file
+ * @returns {string|null} - The MIME type, one of EMBEDDABLE_IMAGE_TYPES, or null if the file is not such an image
+ */
+function detectImageType(header, relativePath) {
+    if (relativePath.toLowerCase().endsWith('.svg')) {
+        return /<svg[\s>]/.test(header.toString('utf-8')) ? 'image/svg+xml' : null;
+    }
+    const { mime } = detectBinaryType(header);
+    return EMBEDDABLE_IMAGE_TYPES.includes(mime) ? mime : null;
+}
+
+/**
+ * Reads the header of a file to detect whether it is an image that can be embedded
+ * @param {string} filePath - The path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {import('./sources').Source} source - Where to read the file from
+ * @returns {string|null} - The MIME type, or null if the file is not such an image
+ */
+function readImageType(filePath, relativePath, source) {
+    return detectImageType(source.read(filePath, HEADER_LENGTH), relativePath);
+}
+
+/**
+ * Encodes file content as a base64 data URI
+ * @param {string} mime - The MIME type of the content
+ * @param {Buffer} data - The content
+ * @returns {string} - The data URI
+ */
+function toDataUri(mime, data) {
+    return `data:${mime};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Decodes a base64 data URI
+ * @param {string} text - The data URI
+ * @returns {{mime: string, data: Buffer}|null} - The MIME type and content, or null if the text is not a base64 data URI
+ */
+function parseDataUri(text) {
+    const match = /^data:([^;,]+);base64,([A-Za-z0-9+/=]*)\s*$/.exec(text);
+    return match ? { mime: match[1], data: Buffer.from(match[2], 'base64') } : null;
+}
+
+/**
+ * Hashes a file with SHA-256, a chunk at a time so large files are not read into memory at once
+ * @param {string} filePath - The path of the file
+ * @param {number} size - The size of the file in bytes
+ * @param {import('./sources').Source} source - Where to read the file from
+ * @returns {string} - The hash, in hex
+ */
+function hashFile(filePath, size, source) {
+    const hash = crypto.createHash('sha256');
+    for (let position = 0; position < size; position += HASH_CHUNK_LENGTH) {
+        hash.update(source.read(filePath, HASH_CHUNK_LENGTH, position));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Describes a binary file by its type, hash and, for images, dimensions
+ * @param {string} filePath - The path of the file
+ * @param {number} size - The size of the file in bytes
+ * @param {import('./sources').Source} source - Where to read the file from
+ * @returns {BinaryInfo} - The metadata
+ */
+function describeBinaryFile(filePath, size, source) {
+    const header = source.read(filePath, HEADER_LENGTH);
+    const { type, mime } = detectBinaryType(header);
+    const dimensions = readImageDimensions(header, mime);
+
+    return {
+        type,
+        mime,
+        sha256: hashFile(filePath, size, source),
+        ...dimensions,
+    };
+}
+
+/**
+ * Renders the placeholder that stands in for the content of a binary file
+ * @param {BinaryInfo} binary - The metadata of the file
+ * @param {number} size - The size of the file in bytes
+ * @returns {string} - The placeholder text, one property per line
+ */
+function renderBinaryPlaceholder(binary, size) {
+    return [
+        '[binary file not included]',
+        `Type: ${binary.type} (${binary.mime})`,
+        `Size: ${size} bytes`,
+        ...(binary.width !== undefined ? [`Dimensions: ${binary.width}x${binary.height}`] : []),
+        `SHA-256: ${binary.sha256}`,
+    ].join('\n');
+}
+
+module.exports = {
+    controlByteRatio,
+    describeBinaryFile,
+    detectBinaryType,
+    detectImageType,
+    explainBinaryContent,
+    hashFile,
+    parseDataUri,
+    readImageDimensions,
+    readImageType,
+    renderBinaryPlaceholder,
+    toDataUri,
+    BINARY_CONTROL_RATIO,
+    BINARY_SIGNATURES,
+    EMBEDDABLE_IMAGE_TYPES
+};
@@ -0,0 +1,130 @@
+const ignore = require('ignore');
+
+/**
+ * A limit on the size of the content file
+ * @typedef {Object} Budget
+ * @property {number} limit - The maximum size
+ * @property {string} unit - 'tokens' or 'bytes'
+ */
+
+/** @constant {string[]} MANIFEST_FILES - Project manifests that are packed first, along with READMEs */
+const MANIFEST_FILES = [
+    'package.json',
+    'pyproject.toml',
+    'setup.py',
+    'setup.cfg',
+    'requirements.txt',
+    'Pipfile',
+    'Cargo.toml',
+    'go.mod',
+    'pom.xml',
+    'build.gradle',
+    'build.gradle.kts',
+    'Gemfile',
+    'composer.json',
+    'CMakeLists.txt',
+    'Makefile',
+    'Dockerfile',
+];
+
+/** @constant {string[]} TEST_PATTERNS - Patterns of test files, which are packed after all other files */
+const TEST_PATTERNS = [
+    'test/',
+    'tests/',
+    '__tests__/',
+    '__mocks__/',
+    'spec/',
+    '*.test.*',
+    '*.spec.*',
+    '*_test.*',
+    'test_*.py',
+];
+
+/**
+ * Sorts files into the order they are packed in:
+ * 1. Files matching the priority patterns, in the order the patterns are given
+ * 2. READMEs and project manifests
+ * 3. Everything else except tests
+ * 4. Tests
+ * Within each group, smaller files come first so that as many files as possible fit.
+ *
+ * @param {import('./formats').FileRecord[]} files - The files to sort
+ * @param {function(import('./formats').FileRecord): number} cost - The size of a file in budget units
+ * @param {string[]} [priorityPatterns] - Patterns of files to pack before all others
+ * @returns {import('./formats').FileRecord[]} - The files, highest priority first
+ */
+function rankFiles(files, cost, priorityPatterns = []) {
+    const priorities = priorityPatterns.map(pattern => ignore().add(pattern));
+    const tests = ignore().add(TEST_PATTERNS);
+
+    const groupOf = file => {
+        const priority = priorities.findIndex(ig => ig.ignores(file.path));
+        if (priority !== -1) return priority;
+
+        const name = file.path.split('/').pop();
+        if (name.toLowerCase().startsWith('readme') || MANIFEST_FILES.includes(name)) return priorities.length;
+        return tests.ignores(file.path) ? priorities.length + 2 : priorities.length + 1;
+    };
+
+    return files
+        .map(file => ({ file, group: groupOf(file), cost: cost(file) }))
+        .sort((a, b) => a.group - b.group || a.cost - b.cost || a.file.path.localeCompare(b.file.path))
+        .map(entry => entry.file);
+}
+
+/**
+ * Selects the files that fit a budget, taking them in priority order and skipping any file that no longer fits.
+ * Per-file costs leave out separators and other output around the files, so the lowest ranked files
+ * are then dropped until the whole output fits. Dropping a file only makes the output smaller, so the fewest
+ * files to drop are found with a binary search, which measures the output a logarithmic number of times.
+ *
+ * @param {import('./formats').FileRecord[]} files - The files, in content order
+ * @param {Budget} budget - The budget
+ * @param {function(import('./formats').FileRecord): number} cost - The size of a file in budget units
+ * @param {function(import('./formats').FileRecord[], import('./formats').FileRecord[]): number} measure - The size of the output for the kept and omitted files,
+ * without side effects, as it is called for selections that are not kept
+ * @param {string[]} [priorityPatterns] - Patterns of files to pack before all others
+ * @returns {{kept: import('./formats').FileRecord[], omitted: import('./formats').FileRecord[]}} - The files that fit and those left out, in content order
+ */
+function packFiles(files, budget, cost, measure, priorityPatterns = []) {
+    const ranked = rankFiles(files, cost, priorityPatterns);
+    const kept = new Set();
+    let used = 0;
+
+    for (const file of ranked) {
+        if (used + cost(file) <= budget.limit) {
+            kept.add(file);
+            used += cost(file);
+        }
+    }
+
+    const dropOrder = ranked.filter(file => kept.has(file)).reverse();
+    const select = count => {
+        const dropped = new Set(dropOrder.slice(0, count));
+        const selected = file => kept.has(file) && !dropped.has(file);
+        return { kept: files.filter(selected), omitted: files.filter(file => !selected(file)) };
+    };
+    const fits = selection => measure(selection.kept, selection.omitted) <= budget.limit;
+
+    if (fits(select(0))) return select(0);
+
+    // Dropping every file is the answer when nothing smaller fits
+    let low = 1;
+    let high = dropOrder.length;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (fits(select(middle))) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return select(low);
+}
+
+module.exports = {
+    packFiles,
+    rankFiles,
+    MANIFEST_FILES,
+    TEST_PATTERNS
+};
@@ -0,0 +1,152 @@
+const ignore = require('ignore');
+
+/** @constant {{name: string, bytes: Buffer}[]} BYTE_ORDER_MARKS - Byte order marks and the encodings they announce */
+const BYTE_ORDER_MARKS = [
+    { name: 'utf-8', bytes: Buffer.from([0xef, 0xbb, 0xbf]) },
+    { name: 'utf-16le', bytes: Buffer.from([0xff, 0xfe]) },
+    { name: 'utf-16be', bytes: Buffer.from([0xfe, 0xff]) },
+];
+
+/** @constant {number} UTF16_SAMPLE_LENGTH - Bytes looked at to guess whether a file without a byte order mark is UTF-16 */
+const UTF16_SAMPLE_LENGTH = 4096;
+
+/** @constant {RegExp} JAPANESE_RUN - Two Japanese characters in a row: kana, kanji, CJK punctuation or full-width forms */
+const JAPANESE_RUN = /[\u3000-\u30ff\u4e00-\u9fff\uff00-\uffef]{2}/;
+
+/** @constant {number[]} WINDOWS_1252_UNDEFINED - Bytes that have no character in windows-1252, and so never occur in Latin-1 text */
+const WINDOWS_1252_UNDEFINED = [0x81, 0x8d, 0x8f, 0x90, 0x9d];
+
+/**
+ * Resolves an encoding label, such as latin1 or sjis, to the name of the encoding it stands for
+ * @param {string} label - The encoding label
+ * @returns {string} - The encoding name, as used by TextDecoder
+ * @throws {Error} If the encoding is not supported
+ */
+function normalizeEncoding(label) {
+    try {
+        return new TextDecoder(label).encoding;
+    } catch (error) {
+        throw new Error(`Unsupported encoding: ${label}`);
+    }
+}
+
+/**
+ * Detects the encoding announced by a byte order mark at the start of a buffer
+ * @param {Buffer} buffer - The first bytes of a file
+ * @returns {string|null} - The encoding name, or null if there is no byte order mark
+ */
+function detectBom(buffer) {
+    const bom = BYTE_ORDER_MARKS.find(({ bytes }) => buffer.subarray(0, bytes.length).equals(bytes));
+    return bom ? bom.name : null;
+}
+
+/**
+ * Guesses whether a buffer without a byte order mark is UTF-16 from where its zero bytes are:
+ * mostly ASCII text in UTF-16 has a zero in every high byte and hardly any in the low bytes
+ * @param {Buffer} buffer - The first bytes of a file
+ * @returns {string|null} - 'utf-16le', 'utf-16be', or null if the buffer does not look like UTF-16
+ */
+function guessUtf16(buffer) {
+    const pairs = Math.floor(Math.min(buffer.length, UTF16_SAMPLE_LENGTH) / 2);
+    if (pairs < 2) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (buffer[i] === 0) evenZeros++;
+        if (buffer[i + 1] === 0) oddZeros++;
+    }
+    if (oddZeros >= pairs * 0.3 && evenZeros <= pairs * 0.05) return 'utf-16le';
+    if (evenZeros >= pairs * 0.3 && oddZeros <= pairs * 0.05) return 'utf-16be';
+    return null;
+}
+
+/**
+ * Checks whether a buffer decodes without invalid sequences.
+ * A character cut off at the end of the buffer is not counted as invalid, as the buffer may be the start of a file.
+ * @param {Buffer} buffer - The bytes to check
+ * @param {string} encoding - The encoding name
+ * @returns {boolean} - True if the buffer is valid in the encoding
+ */
+function isValidEncoding(buffer, encoding) {
+    try {
+        new TextDecoder(encoding, { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Guesses the legacy encoding of a buffer that is not valid UTF-8: Shift-JIS when it decodes to runs
+ * of Japanese characters, otherwise windows-1252 (the superset of Latin-1 that browsers read Latin-1 as)
+ * when it holds no bytes that windows-1252 leaves undefined
+ * @param {Buffer} buffer - The first bytes of a file
+ * @returns {string|null} - 'shift_jis', 'windows-1252', or null if neither fits
+ */
+function guessLegacyEncoding(buffer) {
+    if (isValidEncoding(buffer, 'shift_jis') && JAPANESE_RUN.test(decodeText(buffer, 'shift_jis', true))) {
+        return 'shift_jis';
+    }
+    if (!buffer.some(byte => WINDOWS_1252_UNDEFINED.includes(byte))) {
+        return 'windows-1252';
+    }
+    return null;
+}
+
+/**
+ * Decodes bytes in an encoding, dropping a byte order mark. Invalid sequences become replacement characters.
+ * @param {Buffer} buffer - The bytes to decode
+ * @param {string} encoding - The encoding name
+ * @param {boolean} [partial] - Whether the bytes may end in the middle of a character, which is then left out (default: false)
+ * @returns {string} - The decoded text
+ */
+function decodeText(buffer, encoding, partial = false) {
+    return new TextDecoder(encoding).decode(buffer, { stream: partial });
+}
+
+/**
+ * Parses encoding overrides given as pattern=encoding, such as legacy/*.c=latin1
+ * @param {string[]} overrides - The overrides
+ * @returns {Object<string, string>} - Encoding labels keyed by pattern
+ * @throws {Error} If an override is not of the form pattern=encoding
+ */
+function parseEncodingOverrides(overrides) {
+    const parsed = {};
+    for (const override of overrides) {
+        const separator = override.lastIndexOf('=');
+        if (separator <= 0 || separator === override.length - 1) {
+            throw new Error(`Invalid encoding override: ${override}. Expected <pattern>=<encoding>`);
+        }
+        parsed[override.slice(0, separator)] = override.slice(separator + 1);
+    }
+    return parsed;
+}
+
+/**
+ * Creates a function that looks up the encoding a file is overridden to
+ * @param {Object<string, string>} overrides - Encoding labels keyed by pattern; when several patterns match, the last one wins
+ * @returns {function(string): string|null} - Returns the encoding name for a relative path, or null if no pattern matches it
+ * @throws {Error} If an encoding is not supported
+ */
+function createEncodingOverrides(overrides) {
+    const matchers = Object.entries(overrides).map(([pattern, label]) => ({
+        ig: ignore().add(pattern),
+        encoding: normalizeEncoding(label),
+    }));
+    return relativePath => {
+        const match = matchers.filter(({ ig }) => ig.ignores(relativePath)).pop();
+        return match ? match.encoding : null;
+    };
+}
+
+module.exports = {
+    createEncodingOverrides,
+    decodeText,
+    detectBom,
+    guessLegacyEncoding,
+    guessUtf16,
+    isValidEncoding,
+    normalizeEncoding,
+    parseEncodingOverrides
+};
@@ -0,0 +1,718 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/** @constant {string} FILE_SEPARATOR - Separator line for file boundaries */
+const FILE_SEPARATOR = '='.repeat(60);
+
+/** @constant {string} CONTENT_SEPARATOR - Separator line for content sections */
+const CONTENT_SEPARATOR = '-'.repeat(60);
+
+/** @constant {string[]} DELIMITER_STYLES - Supported delimiter styles for the text format */
+const DELIMITER_STYLES = ['fixed', 'boundary'];
+
+/** @constant {string} BOUNDARY_PREFIX - Prefix of the first line of a text snapshot that uses boundary delimiters */
+const BOUNDARY_PREFIX = 'BOUNDARY: ';
+
+/** @constant {string} TOC_HEADING - First line of the table of contents at the top of a content file in the text format */
+const TOC_HEADING = 'TABLE OF CONTENTS';
+
+/** @constant {RegExp} LINE_NUMBER_PREFIX - Matches the line number prefix at the start of each line of numbered content */
+const LINE_NUMBER_PREFIX = /^ *\d+ \|(?: |$)/gm;
+
+/** @constant {string} METADATA_PREFIX - Prefix of the metadata line below the path of a file in the text format */
+const METADATA_PREFIX = 'METADATA: ';
+
+/** @constant {RegExp} XML_INVALID_CHARACTERS - Matches the characters XML 1.0 does not allow in a document */
+const XML_INVALID_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/** @constant {Object<string, string>} LANGUAGE_BY_EXTENSION - Markdown code block language tags keyed by lowercase file extension */
+const LANGUAGE_BY_EXTENSION = {
+    '.bash': 'bash',
+    '.c': 'c',
+    '.cc': 'cpp',
+    '.cjs': 'javascript',
+    '.cpp': 'cpp',
+    '.cs': 'csharp',
+    '.css': 'css',
+    '.cts': 'typescript',
+    '.dart': 'dart',
+    '.diff': 'diff',
+    '.go': 'go',
+    '.gradle': 'groovy',
+    '.h': 'c',
+    '.hpp': 'cpp',
+    '.html': 'html',
+    '.ini': 'ini',
+    '.java': 'java',
+    '.js': 'javascript',
+    '.json': 'json',
+    '.jsx': 'jsx',
+    '.kt': 'kotlin',
+    '.less': 'less',
+    '.lua': 'lua',
+    '.md': 'markdown',
+    '.mjs': 'javascript',
+    '.mts': 'typescript',
+    '.php': 'php',
+    '.pl': 'perl',
+    '.ps1': 'powershell',
+    '.py': 'python',
+    '.r': 'r',
+    '.rb': 'ruby',
+    '.rs': 'rust',
+    '.scala': 'scala',
+    '.scss': 'scss',
+    '.sh': 'bash',
+    '.sql': 'sql',
+    '.svelte': 'svelte',
+    '.swift': 'swift',
+    '.toml': 'toml',
+    '.ts': 'typescript',
+    '.tsx': 'tsx',
+    '.vue': 'vue',
+    '.xml': 'xml',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.zsh': 'bash',
+};
+
+/** @constant {Object<string, string>} LANGUAGE_BY_FILENAME - Markdown code block language tags for well-known extensionless file names */
+const LANGUAGE_BY_FILENAME = {
+    'dockerfile': 'dockerfile',
+    'makefile': 'makefile',
+    'gemfile': 'ruby',
+    'rakefile': 'ruby',
+};
+
+/**
+ * A node of the repository structure tree
+ * @typedef {Object} StructureNode
+ * @property {string} name - The file or directory name
+ * @property {string} path - The path relative to the repository root ('' for the root)
+ * @property {string} type - 'directory', 'file', or 'symlink' for a symbolic link that is not followed
+ * @property {string} [target] - The target of a symbolic link, also set on links that are followed
+ * @property {StructureNode[]} [children] - Child nodes (directories only, except ignored ones)
+ * @property {number} [tokens] - The number of tokens in the serialized content (files in the content file only; with annotations, also directory totals)
+ * @property {number} [size] - With annotations, the size in bytes of the file, or of all files below the directory
+ * @property {number} [lines] - With annotations, the number of lines in the serialized content of the file, or of all files below the directory
+ * @property {number} [files] - With annotations, the number of files below the directory (directories only)
+ * @property {string} [skipped] - With annotations, why the file was left out of the content file: 'binary', 'too large', 'encoding error' or 'over budget'
+ * @property {string} [ignoredBy] - When ignored entries are shown, where the pattern that ignores the entry comes from, such as .gitignore
+ * @property {number|null} [entries] - When ignored entries are shown, the number of files, directories and links below an ignored directory, which is not walked into, or null if it cannot be read
+ * @property {string[]} [deleted] - Files deleted since the compared git ref (root only, when serializing changes)
+ * @property {string[]} [omitted] - Files left out of the content file to fit the budget (root only, when a budget is set)
+ */
+
+/**
+ * A serialized file
+ * @typedef {Object} FileRecord
+ * @property {string} path - The path relative to the repository root
+ * @property {number} size - The size of the file on disk in bytes
+ * @property {number} [lines] - The number of lines in the serialized content (the whole file's on the first chunk of a split file, and left out on later chunks)
+ * @property {number} [tokens] - The number of tokens in the serialized content (like lines, on the first chunk only)
+ * @property {Object} [encoding] - How the file was decoded (text files only)
+ * @property {string} encoding.name - The encoding the file was decoded with and transcoded to UTF-8 from
+ * @property {string} encoding.status - 'valid' if the file decoded cleanly, 'replaced' if it contained invalid sequences
+ * @property {number} encoding.replacementCharacters - Number of replacement characters found while decoding
+ * @property {string} [change] - 'added' or 'modified' when serializing changes since a git ref
+ * @property {boolean} [diff] - True when the content is a unified diff rather than the full file
+ * @property {number} [truncated] - Number of bytes left out when the file was larger than the max file size
+ * @property {boolean} [lineNumbers] - True when each line of the content is prefixed with its line number in the file
+ * @property {string} [language] - The language inferred from the file name, when file metadata is enabled and it can be inferred
+ * @property {string} [modified] - The last-modified time of the file in ISO 8601, when file metadata is enabled and the source has one
+ * @property {string} [hash] - The first 12 hex digits of the SHA-256 of the file on disk, when file metadata is enabled
+ * @property {import('./binary').BinaryInfo} [binary] - Set for binary files, whose content is a placeholder describing the file
+ * @property {Object} [image] - Set for embedded images, whose content is a base64 data URI
+ * @property {string} image.mime - The MIME type of the image
+ * @property {number} [image.width] - The image width in pixels, when it can be read cheaply
+ * @property {number} [image.height] - The image height in pixels, when it can be read cheaply
+ * @property {Object} [chunk] - Set when the file was cut into chunks to fit the parts of a split content file
+ * @property {number} chunk.index - The 1-based number of this chunk
+ * @property {boolean} chunk.last - Whether this is the last chunk of the file
+ * @property {string} content - The serialized content of the file
+ */
+
+/**
+ * Names the kind of block a file is written in by the text format
+ * @param {FileRecord} file - The file
+ * @returns {string} - 'IMAGE FILE' for embedded images, 'BINARY FILE' for binary file placeholders, otherwise 'FILE'
+ */
+function textBlockKind(file) {
+    if (file.image) return 'IMAGE FILE';
+    return file.binary ? 'BINARY FILE' : 'FILE';
+}
+
+/**
+ * Names the encoding a file was transcoded from, for the formats that note it next to the path
+ * @param {FileRecord} file - The file
+ * @returns {string|undefined} - The encoding name, or undefined for files that were UTF-8 already
+ */
+function transcodedFrom(file) {
+    return file.encoding && file.encoding.name !== 'utf-8' ? file.encoding.name : undefined;
+}
+
+/**
+ * Renders the metadata line of a file in the text format, as space-separated key=value pairs:
+ * METADATA: size=1234 lines=42 language=javascript modified=2026-01-31T12:00:00Z hash=0123456789ab
+ * @param {FileRecord} file - The file, with file metadata
+ * @returns {string} - The metadata line
+ */
+function renderMetadataLine(file) {
+    const fields = { size: file.size, lines: file.lines, language: file.language, modified: file.modified, hash: file.hash };
+    return METADATA_PREFIX + Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(' ');
+}
+
+/**
+ * Parses a metadata line written by renderMetadataLine
+ * @param {string} line - The metadata line
+ * @returns {{size: number, lines: number, language?: string, modified?: string, hash: string}} - The metadata
+ */
+function parseMetadataLine(line) {
+    const metadata = {};
+    for (const field of line.slice(METADATA_PREFIX.length).split(' ')) {
+        const separator = field.indexOf('=');
+        const [key, value] = [field.slice(0, separator), field.slice(separator + 1)];
+        metadata[key] = key === 'size' || key === 'lines' ? Number(value) : value;
+    }
+    return metadata;
+}
+
+/**
+ * Prefixes each line of text with its right-aligned line number, as in '  7 | const x = 1;'.
+ * A trailing newline does not start a new line, and empty lines get no trailing space.
+ * @param {string} text - The text to number
+ * @param {number} [firstLine] - The line number of the first line (default: 1)
+ * @param {number} [width] - The width to right-align the numbers to (default: that of the last number)
+ * @returns {string} - The numbered text
+ */
+function numberLines(text, firstLine = 1, width) {
+    if (text === '') return text;
+    const trailingNewline = text.endsWith('\n');
+    const lines = (trailingNewline ? text.slice(0, -1) : text).split('\n');
+    const numberWidth = width || String(firstLine + lines.length - 1).length;
+    const numbered = lines.map((line, index) => {
+        const number = String(firstLine + index).padStart(numberWidth);
+        return line === '' ? `${number} |` : `${number} | ${line}`;
+    });
+    return numbered.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * Removes the line number prefixes added by numberLines. Lines without one, such as a truncation marker, are left as they are.
+ * @param {string} text - The numbered text
+ * @returns {string} - The text without line numbers
+ */
+function stripLineNumbers(text) {
+    return text.replace(LINE_NUMBER_PREFIX, '');
+}
+
+/**
+ * Wraps content with file separators.
+ * Chunks of a file cut across parts start with CONTINUATION OF FILE after the first chunk,
+ * and end with CONTINUED IN NEXT PART before the last one. Embedded images and placeholders
+ * of binary files say IMAGE FILE and BINARY FILE instead of FILE, as their content is not the file's text.
+ * With file metadata, the first block of a file has a METADATA line below the path (see renderMetadataLine).
+ * Files transcoded to UTF-8 have an ENCODING line naming their original encoding below the path,
+ * files serialized as a diff a DIFF line and truncated files a TRUNCATED line with their size, so neither is restored as the file's content,
+ * and files whose lines are numbered a LINE NUMBERS line, so the numbers can be stripped on restore.
+ *
+ * @param {string} relativePath - The relative path of the file
+ * @param {string} content - The content to wrap
+ * @param {Object} [options] - Wrapping options
+ * @param {string} [options.boundary] - Boundary token appended to the content separators
+ * @param {Object} [options.chunk] - The chunk of the file the content is (see FileRecord)
+ * @param {string} [options.kind] - The kind of block: 'FILE' (default), 'IMAGE FILE' or 'BINARY FILE'
+ * @param {string} [options.encoding] - The encoding the content was transcoded from, if it was not UTF-8
+ * @param {boolean} [options.lineNumbers] - Whether the lines of the content are prefixed with their line numbers
+ * @param {string} [options.metadata] - The metadata line of the file, written in the first block of the file only
+ * @param {boolean} [options.diff] - Whether the content is a unified diff rather than the full file
+ * @param {number} [options.truncatedFrom] - The size in bytes of the file, when the content was truncated
+ * @returns {string} - The wrapped content with separators
+ */
+function wrapWithSeparators(relativePath, content, options = {}) {
+    const { boundary, chunk, kind = 'FILE', encoding, lineNumbers, metadata, diff, truncatedFrom } = options;
+    const contentSeparator = boundary ? `${CONTENT_SEPARATOR} ${boundary}` : CONTENT_SEPARATOR;
+    const isContinuation = chunk && chunk.index > 1;
+    return [
+        '',  // First newline for visual separation between files
+        '',  // Second newline for visual separation between files
+        FILE_SEPARATOR,
+        `${isContinuation ? 'CONTINUATION' : 'START'} OF ${kind}: ${relativePath}`,
+        ...(metadata && !isContinuation ? [metadata] : []),
+        ...(encoding ? [`ENCODING: ${encoding}`] : []),
+        ...(diff ? ['DIFF: yes'] : []),
+        ...(truncatedFrom !== undefined ? [`TRUNCATED: ${truncatedFrom} bytes`] : []),
+        ...(lineNumbers ? ['LINE NUMBERS: yes'] : []),
+        contentSeparator,
+        content,
+        contentSeparator,
+        `${chunk && !chunk.last ? 'CONTINUED IN NEXT PART' : `END OF ${kind}`}: ${relativePath}`,
+        FILE_SEPARATOR,
+    ].join('\n');
+}
+
+/**
+ * Formats a size in bytes for an annotation, rounded to one decimal
+ * @param {number} size - The size in bytes
+ * @returns {string} - The size, such as 512B, 1.5KB or 12.3MB
+ */
+function formatSize(size) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size}B` : `${Number(size.toFixed(1))}${units[unit]}`;
+}
+
+/**
+ * Formats a count with a noun, as in '1 line' or '1,024 lines'
+ * @param {number} count - The count
+ * @param {string} noun - The singular noun
+ * @param {string} [plural] - The plural noun (default: the singular noun with an s)
+ * @returns {string} - The formatted count
+ */
+function formatCount(count, noun, plural = `${noun}s`) {
+    return `${count.toLocaleString('en-US')} ${count === 1 ? noun : plural}`;
+}
+
+/**
+ * Renders the annotation of a node in an annotated tree, as in ' (1.2KB, 42 lines, 310 tokens)',
+ * ' (2 files, 3.4KB, 80 lines, 650 tokens)' or ' (15.3KB) [skipped: binary]'.
+ * In a tree that is not annotated, files in the content file still show their token count, as in ' (310 tokens)'.
+ * @param {StructureNode} node - The node
+ * @returns {string} - The annotation, or an empty string for nodes without one
+ */
+function renderAnnotation(node) {
+    if (node.size === undefined) return node.tokens !== undefined ? ` (${formatCount(node.tokens, 'token')})` : '';
+    const counts = [
+        ...(node.type === 'directory' ? [formatCount(node.files, 'file')] : []),
+        formatSize(node.size),
+        ...(node.lines !== undefined ? [formatCount(node.lines, 'line')] : []),
+        ...(node.tokens !== undefined ? [formatCount(node.tokens, 'token')] : []),
+    ];
+    return ` (${counts.join(', ')})${node.skipped ? ` [skipped: ${node.skipped}]` : ''}`;
+}
+
+/**
+ * Renders the marker of an ignored entry, as in ' [ignored by .gitignore, 1,204 entries]'
+ * @param {StructureNode} node - The node
+ * @returns {string} - The marker, or an empty string for entries that are not ignored
+ */
+function renderIgnoredMarker(node) {
+    if (node.ignoredBy === undefined) return '';
+    let entries = '';
+    if (node.entries === null) {
+        entries = ', unreadable';
+    } else if (node.entries !== undefined) {
+        entries = `, ${formatCount(node.entries, 'entry', 'entries')}`;
+    }
+    return ` [ignored by ${node.ignoredBy}${entries}]`;
+}
+
+/**
+ * Renders a structure tree as an indented, box-drawn text tree, with the annotations of annotated trees
+ * and ignored entries collapsed into a single marked line
+ * @param {StructureNode} node - The root node of the tree
+ * @param {string} [prefix] - The prefix for indentation (empty for the root)
+ * @returns {string} - The rendered tree
+ */
+function renderStructureTree(node, prefix = '') {
+    let structure = '';
+
+    // Add root folder name if this is the root level
+    if (prefix === '') {
+        structure += `${node.name}/${renderAnnotation(node)}\n`;
+    }
+
+    node.children.forEach((child, index) => {
+        const isLast = index === node.children.length - 1;
+        const connector = isLast ? '└── ' : '├── ';
+        const childPrefix = isLast ? prefix + '    ' : prefix + '│   ';
+
+        const target = child.target !== undefined ? ` -> ${child.target}` : '';
+        structure += `${prefix}${connector}${child.name}${child.type === 'directory' ? '/' : ''}${target}${renderAnnotation(child)}${renderIgnoredMarker(child)}\n`;
+
+        if (child.type === 'directory' && child.ignoredBy === undefined) {
+            structure += renderStructureTree(child, childPrefix);
+        }
+    });
+
+    return structure;
+}
+
+/**
+ * Renders a list of files under a heading
+ * @param {string} heading - The heading line
+ * @param {string[]} [files] - The files, or undefined to render nothing
+ * @returns {string} - The heading and one line per file, or an empty string
+ */
+function renderFileList(heading, files) {
+    if (!files) return '';
+    return [heading, ...(files.length > 0 ? files.map(file => `- ${file}`) : ['(none)']), ''].join('\n');
+}
+
+/**
+ * Renders the sections listed below the tree: files deleted since the compared git ref and files omitted to fit the budget
+ * @param {StructureNode} tree - The root node of the tree
+ * @returns {string} - The sections that apply, separated by blank lines, or an empty string
+ */
+function renderFileSections(tree) {
+    return [
+        renderFileList('Deleted files:', tree.deleted),
+        renderFileList('Omitted files (over budget):', tree.omitted),
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Renders a structure tree in the text format, followed by the deleted and omitted files sections when present
+ * @param {StructureNode} tree - The root node of the tree
+ * @returns {string} - The rendered structure
+ */
+function renderTextStructure(tree) {
+    const sections = renderFileSections(tree);
+    return renderStructureTree(tree) + (sections && `\n${sections}`);
+}
+
+/**
+ * Creates a random boundary token that does not occur in any file path or content,
+ * so the first content separator carrying it always ends the file (like a MIME multipart boundary)
+ * @param {FileRecord[]} files - The files that will be wrapped
+ * @returns {string} - The boundary token
+ */
+function createBoundary(files) {
+    let boundary;
+    do {
+        boundary = crypto.randomBytes(16).toString('hex');
+    } while (files.some(file => file.path.includes(boundary) || file.content.includes(boundary)));
+    return boundary;
+}
+
+/**
+ * Wraps a file record in the blocks of the text format
+ * @param {FileRecord} file - The file
+ * @param {string} [boundary] - Boundary token appended to the content separators
+ * @returns {string} - The wrapped file
+ */
+function wrapFile(file, boundary) {
+    return wrapWithSeparators(file.path, file.content, {
+        boundary,
+        chunk: file.chunk,
+        kind: textBlockKind(file),
+        encoding: transcodedFrom(file),
+        lineNumbers: file.lineNumbers,
+        metadata: file.hash !== undefined ? renderMetadataLine(file) : undefined,
+        diff: file.diff,
+        truncatedFrom: file.truncated ? file.size : undefined,
+    });
+}
+
+/**
+ * Counts the line breaks in text
+ * @param {string} text - The text
+ * @returns {number} - The number of line breaks
+ */
+function countLineBreaks(text) {
+    return (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Renders the entries of a table of contents listing where each file starts, as in '  42  src/index.js'.
+ * Chunks of files cut across parts are listed with their chunk number.
+ * @param {FileRecord[]} files - The files, in content order
+ * @param {number[]} lines - The 1-based line each file starts at
+ * @param {function(string): string} [escape] - Escapes the paths for the format
+ * @returns {string[]} - One line per file
+ */
+function renderTableOfContents(files, lines, escape = text => text) {
+    const width = String(Math.max(...lines)).length;
+    return files.map((file, index) => `${String(lines[index]).padStart(width)}  ${escape(file.path)}${file.chunk ? ` (chunk ${file.chunk.index})` : ''}`);
+}
+
+/**
+ * Renders file records in the plain-text separator format.
+ * With a table of contents, the blocks are rendered first to find the line each file starts at:
+ * the table takes one line per file, so its length is known before the line numbers are.
+ * @param {FileRecord[]} files - The files to render
+ * @param {string} [delimiter] - The delimiter style, one of DELIMITER_STYLES
+ * @param {boolean} [toc] - Whether to start with a table of contents listing the line of each file's START OF FILE line
+ * @returns {string} - The rendered content
+ */
+function renderTextContent(files, delimiter = 'fixed', toc = false) {
+    const boundary = delimiter === 'boundary' ? createBoundary(files) : undefined;
+    const blocks = files.map(file => wrapFile(file, boundary));
+    const header = boundary ? [`${BOUNDARY_PREFIX}${boundary}`] : [];
+
+    if (toc && files.length > 0) {
+        // Each block opens with a blank line and a separator line above its START OF FILE line
+        let line = header.length + 1 + files.length + 3;
+        const lines = blocks.map(block => {
+            const start = line;
+            line += countLineBreaks(block);
+            return start;
+        });
+        header.push(TOC_HEADING, ...renderTableOfContents(files, lines));
+    }
+    return header.length > 0 ? header.join('\n') + blocks.join('') : blocks.join('').trimStart();
+}
+
+/**
+ * Infers the Markdown code block language tag for a file from its name
+ * @param {string} relativePath - The relative path of the file
+ * @returns {string} - The language tag, or an empty string if it cannot be inferred
+ */
+function inferLanguage(relativePath) {
+    const name = relativePath.split('/').pop().toLowerCase();
+    return LANGUAGE_BY_FILENAME[name] || LANGUAGE_BY_EXTENSION[path.extname(name)] || '';
+}
+
+/**
+ * Builds a Markdown code fence long enough that no backtick run in the content can close it
+ * @param {string} content - The content that will be fenced
+ * @returns {string} - A fence of at least three backticks
+ */
+function createFence(content) {
+    const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Wraps content in a fenced Markdown code block
+ * @param {string} content - The content to fence
+ * @param {string} [language] - The language tag for the opening fence
+ * @returns {string} - The fenced code block
+ */
+function fenceCodeBlock(content, language = '') {
+    const fence = createFence(content);
+    const body = content === '' || content.endsWith('\n') ? content : content + '\n';
+    return `${fence}${language}\n${body}${fence}`;
+}
+
+/**
+ * Renders a structure tree as a Markdown document with the tree in a code block
+ * @param {StructureNode} tree - The root node of the tree
+ * @returns {string} - The rendered Markdown
+ */
+function renderMarkdownStructure(tree) {
+    const sections = renderFileSections(tree);
+    return `# ${tree.name}\n\n${fenceCodeBlock(renderStructureTree(tree), 'text')}\n` +
+        (sections && `\n${fenceCodeBlock(sections, 'text')}\n`);
+}
+
+/**
+ * Renders the heading of a file in a Markdown document, noting embedded images, binary file placeholders,
+ * the original encoding of transcoded files, numbered lines and chunks of files cut across parts
+ * @param {FileRecord} file - The file
+ * @returns {string} - The heading
+ */
+function markdownFileHeading(file) {
+    const notes = [
+        ...(file.image ? ['image'] : []),
+        ...(file.binary ? ['binary'] : []),
+        ...(transcodedFrom(file) ? [`transcoded from ${transcodedFrom(file)}`] : []),
+        ...(file.lineNumbers ? ['line numbers'] : []),
+        ...(file.chunk ? [`chunk ${file.chunk.index}${file.chunk.last ? ', last' : ', continued in next part'}`] : []),
+    ];
+    return notes.length > 0 ? `## ${file.path} (${notes.join(', ')})` : `## ${file.path}`;
+}
+
+/**
+ * Creates a function that turns heading text into anchors the way GitHub does: lowercased, with punctuation dropped,
+ * spaces turned into hyphens, and a -1, -2, ... suffix on anchors already taken by an earlier heading
+ * @returns {function(string): string} - Returns the anchor of the next heading in the document
+ */
+function createSlugger() {
+    const taken = new Map();
+    return text => {
+        const slug = text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-');
+        let anchor = slug;
+        while (taken.has(anchor)) {
+            taken.set(slug, taken.get(slug) + 1);
+            anchor = `${slug}-${taken.get(slug)}`;
+        }
+        taken.set(anchor, 0);
+        return anchor;
+    };
+}
+
+/**
+ * Renders the table of contents of a Markdown document, linking to the heading of each file
+ * @param {FileRecord[]} files - The files, in content order
+ * @param {string[]} headings - The headings above the files, such as the repository name, in document order
+ * @returns {string} - The table of contents
+ */
+function renderMarkdownTableOfContents(files, headings) {
+    const slug = createSlugger();
+    headings.forEach(heading => slug(heading));
+    slug('Table of Contents');
+    const links = files.map(file => `- [${file.path.replace(/[[\]\\]/g, '\\$&')}](#${slug(markdownFileHeading(file).replace(/^## /, ''))})`);
+    return ['## Table of Contents', '', ...links, ''].join('\n');
+}
+
+/**
+ * Renders the body of a file in a Markdown document: an image for embedded images,
+ * otherwise a code block tagged with the file's language
+ * @param {FileRecord} file - The file
+ * @returns {string} - The body
+ */
+function markdownFileBody(file) {
+    // A chunk of a data URI is not an image on its own
+    if (file.image && !file.chunk) {
+        return `![${file.path.replace(/[[\]\\]/g, '\\$&')}](${file.content})`;
+    }
+    if (file.image || file.binary) return fenceCodeBlock(file.content, 'text');
+    return fenceCodeBlock(file.content, file.diff ? 'diff' : inferLanguage(file.path));
+}
+
+/**
+ * Renders file records as a Markdown document: the structure tree at the top,
+ * then a heading and a language-tagged code block per file
+ * @param {FileRecord[]} files - The files to render
+ * @param {StructureNode} tree - The structure tree
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.part] - The 1-based part number of a split content file; only the first part has the structure tree
+ * @param {boolean} [options.toc] - Whether to list the files with links to their headings below the structure tree
+ * @returns {string} - The rendered Markdown
+ */
+function renderMarkdownContent(files, tree, options = {}) {
+    const structure = options.part > 1 ? [] : [renderMarkdownStructure(tree)];
+    return [
+        ...structure,
+        ...(options.toc && files.length > 0 ? [renderMarkdownTableOfContents(files, structure.length > 0 ? [tree.name] : [])] : []),
+        ...files.map(file => `${markdownFileHeading(file)}\n\n${markdownFileBody(file)}\n`),
+    ].join('\n');
+}
+
+/**
+ * Escapes the XML special characters in text so it cannot open or close tags, and replaces the characters
+ * XML 1.0 does not allow, such as form feeds and other control characters, with U+FFFD.
+ * Those cannot be written even as character references, and would make the document unparseable.
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(XML_INVALID_CHARACTERS, '\uFFFD');
+}
+
+/**
+ * Renders a structure tree wrapped in a single XML element
+ * @param {StructureNode} tree - The root node of the tree
+ * @returns {string} - The rendered XML
+ */
+function renderXmlStructure(tree) {
+    return `<repository_structure>\n${escapeXml(renderTextStructure(tree))}</repository_structure>\n`;
+}
+
+/**
+ * Renders file records as XML-tagged documents, the envelope commonly recommended for LLM prompts:
+ * <documents><document index="1"><source>path</source><document_content>...</document_content></document></documents>
+ * Embedded images carry a media_type attribute and a data URI as content, placeholders of binary files carry a binary attribute,
+ * transcoded files an encoding attribute naming their original encoding, files with numbered lines a line_numbers attribute, and chunks of files cut across the parts of a split
+ * content file carry chunk and last_chunk attributes. With a table of contents, a table_of_contents element
+ * above the documents lists the line of each document's opening tag.
+ * @param {FileRecord[]} files - The files to render
+ * @param {boolean} [toc] - Whether to start with a table of contents
+ * @returns {string} - The rendered XML
+ */
+function renderXmlContent(files, toc = false) {
+    const documents = files.map((file, index) => [
+            `<document index="${index + 1}"${file.image ? ` media_type="${file.image.mime}"` : ''}${file.binary ? ' binary="true"' : ''}${transcodedFrom(file) ? ` encoding="${transcodedFrom(file)}"` : ''}${file.lineNumbers ? ' line_numbers="true"' : ''}${file.chunk ? ` chunk="${file.chunk.index}" last_chunk="${file.chunk.last}"` : ''}>`,
+            `<source>${escapeXml(file.path)}</source>`,
+            '<document_content>',
+            escapeXml(file.content),
+            '</document_content>',
+            '</document>',
+        ].join('\n'));
+
+    const header = [];
+    if (toc && files.length > 0) {
+        // The table takes its two tags and one line per file, and <documents> the line after it
+        let line = files.length + 4;
+        const lines = documents.map(document => {
+            const start = line;
+            line += countLineBreaks(document) + 1;
+            return start;
+        });
+        header.push('<table_of_contents>', ...renderTableOfContents(files, lines, escapeXml), '</table_of_contents>');
+    }
+    return [...header, '<documents>', ...documents, '</documents>', ''].join('\n');
+}
+
+/**
+ * Renders file records as a JSON document. Embedded images are listed apart from the text files,
+ * as attachments holding the base64 data of the image, the shape multimodal APIs take images in.
+ * @param {FileRecord[]} files - The files to render
+ * @returns {string} - The rendered JSON
+ */
+function renderJsonContent(files) {
+    const attachments = files.filter(file => file.image).map(({ path: relativePath, size, tokens, image, change, chunk, content }) => ({
+        path: relativePath,
+        size,
+        tokens,
+        ...image,
+        ...(change && { change }),
+        ...(chunk && { chunk }),
+        // Only the first chunk of a split image starts with the data URI prefix
+        data: content.replace(/^data:[^,]*,/, ''),
+    }));
+    return JSON.stringify({
+        files: files.filter(file => !file.image),
+        ...(attachments.length > 0 && { attachments }),
+    }, null, 2);
+}
+
+/**
+ * Output formats supported by the serializer, keyed by name.
+ * Each format provides the default file extension and the renderers for the structure and content files.
+ * @constant {Object<string, {extension: string, renderStructure: function(StructureNode): string, renderContent: function(FileRecord[], StructureNode, Object): string}>} OUTPUT_FORMATS
+ */
+const OUTPUT_FORMATS = {
+    text: {
+        extension: '.txt',
+        renderStructure: renderTextStructure,
+        renderContent: (files, tree, options) => renderTextContent(files, options.delimiter, options.toc),
+    },
+    json: {
+        extension: '.json',
+        renderStructure: tree => JSON.stringify(tree, null, 2),
+        renderContent: files => renderJsonContent(files),
+    },
+    markdown: {
+        extension: '.md',
+        renderStructure: renderMarkdownStructure,
+        renderContent: renderMarkdownContent,
+    },
+    xml: {
+        extension: '.xml',
+        renderStructure: renderXmlStructure,
+        renderContent: (files, tree, options = {}) => renderXmlContent(files, options.toc),
+    },
+};
+
+module.exports = {
+    createBoundary,
+    createFence,
+    escapeXml,
+    inferLanguage,
+    numberLines,
+    parseMetadataLine,
+    renderMetadataLine,
+    renderStructureTree,
+    stripLineNumbers,
+    wrapWithSeparators,
+    BOUNDARY_PREFIX,
+    CONTENT_SEPARATOR,
+    DELIMITER_STYLES,
+    FILE_SEPARATOR,
+    METADATA_PREFIX,
+    OUTPUT_FORMATS,
+    TOC_HEADING
+};
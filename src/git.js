@@ -0,0 +1,243 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** @constant {string} GITLINK_MODE - Index mode of submodule entries, which have no file content of their own */
+const GITLINK_MODE = '160000';
+
+/** @constant {string} SYMLINK_MODE - Tree mode of symbolic links, whose blob holds the link target rather than file content */
+const SYMLINK_MODE = '120000';
+
+/**
+ * Runs a git command in a directory and returns its standard output
+ *
+ * @param {string[]} args - The git arguments
+ * @param {string} cwd - The directory to run git in
+ * @param {string} [encoding] - The output encoding, or 'buffer' for raw bytes
+ * @returns {string|Buffer} - The standard output
+ * @throws {Error} If git is not installed or the command fails
+ */
+function runGit(args, cwd, encoding = 'utf-8') {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding,
+            maxBuffer: 1024 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+    } catch (error) {
+        const reason = error.stderr ? error.stderr.toString().trim() : error.message;
+        throw new Error(`git ${args[0]} failed: ${reason}`);
+    }
+}
+
+/**
+ * Splits NUL-terminated git output into its records
+ * @param {string} output - The output of a git command run with -z
+ * @returns {string[]} - The records
+ */
+function splitNul(output) {
+    return output.split('\0').filter(record => record !== '');
+}
+
+/**
+ * Lists the files in the git index (committed or staged) below a directory.
+ * Submodules and files deleted from the working tree are left out.
+ *
+ * @param {string} repoRoot - The directory to list, anywhere inside a git work tree
+ * @returns {string[]} - Paths relative to repoRoot, using forward slashes
+ */
+function listTrackedFiles(repoRoot) {
+    return splitNul(runGit(['ls-files', '-z', '--stage'], repoRoot))
+        .map(record => {
+            // <mode> <object> <stage>\t<path>
+            const [info, relativePath] = record.split('\t');
+            return { mode: info.split(' ')[0], path: relativePath };
+        })
+        .filter(entry => entry.mode !== GITLINK_MODE && fs.existsSync(path.join(repoRoot, entry.path)))
+        .map(entry => entry.path)
+        // Unmerged files appear once per conflict stage
+        .filter((relativePath, index, paths) => paths.indexOf(relativePath) === index);
+}
+
+/**
+ * Checks that a ref names a commit
+ *
+ * @param {string} repoRoot - A directory inside the git work tree
+ * @param {string} ref - The commit-ish to check
+ * @throws {Error} If the ref does not name a commit
+ */
+function verifyCommit(repoRoot, ref) {
+    try {
+        // A leading dash would be parsed as an option rather than a ref
+        if (ref.startsWith('-')) throw new Error();
+        runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoRoot);
+    } catch (error) {
+        throw new Error(`Unknown git ref: ${ref}`);
+    }
+}
+
+/**
+ * A file in the tree of a git revision
+ * @typedef {Object} RevisionFile
+ * @property {string} path - The path relative to the listed directory
+ * @property {string} object - The blob object id
+ * @property {number} size - The blob size in bytes
+ */
+
+/**
+ * Lists the files in the tree of a revision below a directory.
+ * Submodules and symbolic links are left out, as they have no file content of their own.
+ *
+ * @param {string} repoRoot - The directory to list, anywhere inside a git work tree
+ * @param {string} rev - The commit-ish to list
+ * @returns {RevisionFile[]} - The files, with paths relative to repoRoot
+ * @throws {Error} If the revision does not name a commit
+ */
+function listRevisionFiles(repoRoot, rev) {
+    verifyCommit(repoRoot, rev);
+
+    // Without --full-tree, ls-tree lists only the current directory, relative to it
+    return splitNul(runGit(['ls-tree', '-r', '-z', '--long', rev], repoRoot))
+        .map(record => {
+            // <mode> <type> <object> <size>\t<path>
+            const [info, relativePath] = record.split('\t');
+            const [mode, type, object, size] = info.split(/\s+/);
+            return { mode, type, object, size: Number(size), path: relativePath };
+        })
+        .filter(entry => entry.type === 'blob' && entry.mode !== SYMLINK_MODE)
+        .map(({ path: relativePath, object, size }) => ({ path: relativePath, object, size }));
+}
+
+/**
+ * Reads the raw content of a blob
+ *
+ * @param {string} repoRoot - A directory inside the git work tree
+ * @param {string} object - The blob object id
+ * @returns {Buffer} - The content
+ */
+function readBlob(repoRoot, object) {
+    return runGit(['cat-file', 'blob', object], repoRoot, 'buffer');
+}
+
+/**
+ * Where git reads ignore patterns from besides the .gitignore files in the work tree, and how it matches them
+ * @typedef {Object} IgnoreSettings
+ * @property {string} topLevel - The root directory of the work tree
+ * @property {string[]} excludeFiles - core.excludesFile and $GIT_DIR/info/exclude, lowest precedence first
+ * @property {boolean} ignoreCase - Whether patterns match case-insensitively (core.ignoreCase)
+ */
+
+/**
+ * Reads a git config value
+ *
+ * @param {string} repoRoot - A directory inside the git work tree
+ * @param {string[]} args - The config arguments, ending with the key
+ * @returns {string|null} - The value, or null if it is not set
+ */
+function readConfig(repoRoot, args) {
+    try {
+        return runGit(['config', ...args], repoRoot).trim();
+    } catch (error) {
+        // git config exits with status 1 when the key is not set
+        return null;
+    }
+}
+
+/**
+ * Looks up the ignore settings of the git work tree a directory is in
+ *
+ * @param {string} repoRoot - The directory to look up
+ * @returns {IgnoreSettings|null} - The settings, or null if the directory is not in a git work tree or git is not installed
+ */
+function getIgnoreSettings(repoRoot) {
+    let output;
+    try {
+        output = runGit(['rev-parse', '--show-toplevel', '--git-path', 'info/exclude'], repoRoot);
+    } catch (error) {
+        return null;
+    }
+    const [topLevel, infoExclude] = output.split('\n');
+
+    // Without core.excludesFile, git falls back to $XDG_CONFIG_HOME/git/ignore
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    const excludesFile = readConfig(repoRoot, ['--path', 'core.excludesFile']) || path.join(configHome, 'git', 'ignore');
+
+    return {
+        topLevel,
+        excludeFiles: [excludesFile, path.resolve(repoRoot, infoExclude)],
+        ignoreCase: readConfig(repoRoot, ['--type=bool', 'core.ignoreCase']) === 'true',
+    };
+}
+
+/**
+ * Files added, modified or deleted relative to a git ref
+ * @typedef {Object} ChangeSet
+ * @property {string} ref - The ref the changes are relative to
+ * @property {Map<string, string>} changed - Existing changed files mapped to 'added' or 'modified', relative to the repository root
+ * @property {string[]} deleted - Files deleted since the ref, relative to the repository root
+ */
+
+/**
+ * Lists the files that changed relative to a ref, in the working tree or in another revision
+ *
+ * @param {string} repoRoot - The directory to compare, anywhere inside a git work tree
+ * @param {string} ref - The commit-ish to compare against
+ * @param {boolean} [includeUntracked] - Whether untracked (but not ignored) files count as added (working tree only)
+ * @param {string} [rev] - The commit-ish to compare with the ref instead of the working tree
+ * @returns {ChangeSet} - The changed and deleted files
+ * @throws {Error} If the ref does not name a commit
+ */
+function listChangedFiles(repoRoot, ref, includeUntracked = true, rev = null) {
+    verifyCommit(repoRoot, ref);
+
+    const changed = new Map();
+    const deleted = [];
+    const revisions = rev ? [ref, rev] : [ref];
+    const records = splitNul(runGit(['diff', '--name-status', '-z', '--no-renames', '--relative', ...revisions, '--'], repoRoot));
+
+    // -z output alternates between the status letter and the path
+    for (let i = 0; i < records.length; i += 2) {
+        const [status, relativePath] = [records[i], records[i + 1]];
+        if (status === 'D') {
+            deleted.push(relativePath);
+        } else if (rev || fs.statSync(path.join(repoRoot, relativePath), { throwIfNoEntry: false })?.isFile()) {
+            // Submodules show up as changed paths but have no content of their own
+            changed.set(relativePath, status === 'A' ? 'added' : 'modified');
+        }
+    }
+
+    if (includeUntracked && !rev) {
+        for (const relativePath of splitNul(runGit(['ls-files', '-z', '--others', '--exclude-standard'], repoRoot))) {
+            changed.set(relativePath, 'added');
+        }
+    }
+
+    return { ref, changed, deleted: deleted.sort() };
+}
+
+/**
+ * Returns the unified diff of one file between a ref and the working tree (or another revision)
+ *
+ * @param {string} repoRoot - The directory the path is relative to
+ * @param {string} ref - The commit-ish to compare against
+ * @param {string} relativePath - The path of the file
+ * @param {number} contextLines - Number of unchanged lines to show around each change
+ * @param {string} [rev] - The commit-ish to compare with the ref instead of the working tree
+ * @returns {string} - The diff
+ */
+function getFileDiff(repoRoot, ref, relativePath, contextLines, rev = null) {
+    const revisions = rev ? [ref, rev] : [ref];
+    return runGit(['diff', `-U${contextLines}`, '--no-renames', '--relative', ...revisions, '--', `:(literal)${relativePath}`], repoRoot);
+}
+
+module.exports = {
+    getFileDiff,
+    getIgnoreSettings,
+    listChangedFiles,
+    listRevisionFiles,
+    listTrackedFiles,
+    readBlob,
+    runGit
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const { getIgnoreSettings } = require('./git');
+const { FILE_SYSTEM_SOURCE } = require('./sources');
+
+/**
+ * Ignore patterns read from one place, matched against paths relative to the directory they apply to,
+ * the way git matches the patterns of each .gitignore file against paths relative to its own directory
+ * @typedef {Object} IgnoreFrame
+ * @property {string} origin - Where the patterns come from, such as src/.gitignore
+ * @property {function(string): string|null} toBase - Converts a path relative to the repository root to one relative to the frame's directory,
+ * or returns null for paths outside the directory, which its patterns do not apply to
+ * @property {string[]} patterns - The patterns, one per line of the ignore file
+ * @property {Object} ig - Ignore instance holding the patterns, each marked with its line number
+ * @property {boolean} ignoreCase - Whether the patterns match case-insensitively
+ * @property {boolean} [final] - Whether what the frame ignores stays ignored, whatever later frames say
+ */
+
+/**
+ * The result of matching a path against the ignore frames
+ * @typedef {Object} IgnoreResult
+ * @property {boolean} ignored - Whether the path is ignored
+ * @property {string|null} origin - Where the deciding pattern comes from, or null if no pattern matches
+ * @property {string|null} pattern - The deciding pattern, or null if no pattern matches
+ * @property {number|null} line - The line of the deciding pattern in its ignore file (its position, for patterns given as a list), or null if no pattern matches
+ */
+
+/**
+ * Converts a path to forward slashes
+ * @param {string} filePath - The path
+ * @returns {string} - The path using forward slashes
+ */
+function toPosix(filePath) {
+    return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Lists the directories above a path, outermost first
+ * @param {string} relativePath - The path, with a trailing slash for directories
+ * @returns {string[]} - The directories, each with a trailing slash
+ */
+function parentDirectories(relativePath) {
+    const names = relativePath.split('/').filter(Boolean);
+    return names.slice(0, -1).map((_, index) => names.slice(0, index + 1).join('/') + '/');
+}
+
+/**
+ * Escapes a path so that it can be used as an ignore pattern matching only itself
+ * @param {string} relativePath - The path
+ * @returns {string} - The pattern
+ */
+function escapePattern(relativePath) {
+    return relativePath.replace(/[\\*?[\]!# ]/g, '\\$&');
+}
+
+/**
+ * Finds the negation that re-includes a path, which the ignore package does not report
+ * @param {IgnoreFrame} frame - The frame
+ * @param {string} basePath - The path, relative to the frame's directory
+ * @returns {{pattern: string, mark: string}|undefined} - The last negation matching the path, as a rule of the ignore package
+ */
+function findNegation(frame, basePath) {
+    for (let index = frame.patterns.length - 1; index >= 0; index--) {
+        const pattern = frame.patterns[index];
+        if (pattern.startsWith('!') && ignore({ ignorecase: frame.ignoreCase }).add(pattern.slice(1)).test(basePath).ignored) {
+            return { pattern, mark: String(index + 1) };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Matches a path against the patterns of one frame.
+ * Negations that re-include the path are reported as the rule, as for patterns that exclude it.
+ * The ignore package treats a path as ignored when the frame excludes a directory above it, which is right
+ * for a single .gitignore file but not when a later frame re-includes that directory. Since callers only
+ * ask about paths whose directories are not ignored, those directories are re-included before matching.
+ *
+ * @param {IgnoreFrame} frame - The frame
+ * @param {string} relativePath - The path, relative to the repository root
+ * @returns {{ignored: boolean, unignored: boolean, rule: Object}} - The result of the ignore package
+ */
+function testFrame(frame, relativePath) {
+    const basePath = frame.toBase(relativePath);
+    if (basePath === null) return { ignored: false, unignored: false };
+
+    let result = frame.ig.test(basePath);
+    const parents = parentDirectories(basePath);
+    if (result.ignored && parents.some(parent => frame.ig.ignores(parent))) {
+        result = ignore({ ignorecase: frame.ignoreCase })
+            .add(frame.ig)
+            .add(parents.map(parent => `!/${escapePattern(parent)}`))
+            .test(basePath);
+    }
+    return result.unignored ? { ...result, rule: findNegation(frame, basePath) } : result;
+}
+
+/**
+ * Creates a frame of ignore patterns
+ *
+ * @param {string|string[]} patterns - The patterns, or the content of an ignore file
+ * @param {string} origin - Where the patterns come from
+ * @param {string} repoRoot - The root directory of the repository
+ * @param {string} [dir] - The directory the patterns are relative to, which may be above the repository root (default: repoRoot)
+ * @param {boolean} [ignoreCase] - Whether the patterns match case-insensitively
+ * @returns {IgnoreFrame} - The frame
+ */
+function createIgnoreFrame(patterns, origin, repoRoot, dir = repoRoot, ignoreCase = true) {
+    const base = toPosix(path.relative(repoRoot, dir));
+    let toBase = relativePath => relativePath;
+    if (base.startsWith('..')) {
+        // Above the repository root, paths gain the directories in between
+        const prefix = toPosix(path.relative(dir, repoRoot)) + '/';
+        toBase = relativePath => prefix + relativePath;
+    } else if (base !== '') {
+        toBase = relativePath => relativePath.startsWith(`${base}/`) && relativePath.length > base.length + 1
+            ? relativePath.slice(base.length + 1)
+            : null;
+    }
+
+    // The ignore package splits ignore files into lines the same way
+    const lines = typeof patterns === 'string' ? patterns.split(/\r?\n/) : patterns;
+    const ig = ignore({ ignorecase: ignoreCase }).add(lines.map((pattern, index) => ({ pattern, mark: String(index + 1) })));
+    return { origin, toBase, patterns: lines, ig, ignoreCase };
+}
+
+/**
+ * Creates a matcher over a stack of ignore frames, lowest precedence first.
+ * As in git, a path inside an ignored directory is ignored; otherwise the last frame with a pattern
+ * matching the path decides whether it is ignored, and within a frame the last matching pattern wins.
+ * The repository root itself is never ignored, even when patterns above it exclude it.
+ *
+ * @param {IgnoreFrame[]} [frames] - The frames
+ * @returns {{frames: IgnoreFrame[], push: function(IgnoreFrame): Object, test: function(string): IgnoreResult, ignores: function(string): boolean}} - The matcher;
+ * push returns a new matcher with the frame on top, and paths are relative to the repository root, with a trailing slash for directories
+ */
+function createIgnoreMatcher(frames = []) {
+    // Directories are asked about once for every path below them
+    const directories = new Map();
+
+    const decide = relativePath => {
+        const final = frames.find(frame => frame.final && testFrame(frame, relativePath).ignored);
+        if (final) {
+            const { rule } = testFrame(final, relativePath);
+            return { ignored: true, origin: final.origin, pattern: rule.pattern, line: Number(rule.mark) };
+        }
+
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const { ignored, unignored, rule } = testFrame(frames[i], relativePath);
+            if (ignored || unignored) {
+                return { ignored, origin: frames[i].origin, pattern: rule ? rule.pattern : null, line: rule ? Number(rule.mark) : null };
+            }
+        }
+        return { ignored: false, origin: null, pattern: null, line: null };
+    };
+
+    return {
+        frames,
+        push: frame => createIgnoreMatcher([...frames, frame]),
+        test(relativePath) {
+            for (const parent of parentDirectories(relativePath)) {
+                if (!directories.has(parent)) {
+                    directories.set(parent, decide(parent));
+                }
+                if (directories.get(parent).ignored) {
+                    return directories.get(parent);
+                }
+            }
+            return decide(relativePath);
+        },
+        ignores(relativePath) {
+            return this.test(relativePath).ignored;
+        },
+    };
+}
+
+/**
+ * Reads an ignore file into a frame
+ *
+ * @param {string} filePath - The path of the ignore file
+ * @param {string} origin - Where the patterns come from
+ * @param {string} repoRoot - The root directory of the repository
+ * @param {string} dir - The directory the patterns are relative to
+ * @param {boolean} ignoreCase - Whether the patterns match case-insensitively
+ * @param {import('./sources').Source} source - Where to read the file from
+ * @returns {IgnoreFrame|null} - The frame, or null if the file does not exist or holds no patterns
+ */
+function readIgnoreFile(filePath, origin, repoRoot, dir, ignoreCase, source) {
+    if (!source.exists(filePath)) return null;
+
+    const content = source.read(filePath).toString('utf-8');
+    if (!content.split(/\r?\n/).some(line => line.trim() && !line.startsWith('#'))) return null;
+
+    // The ignore package parses comments, escapes and trailing spaces as git does
+    return createIgnoreFrame(content, origin, repoRoot, dir, ignoreCase);
+}
+
+/**
+ * Reads the ignore patterns git applies to a directory before the .gitignore files inside it:
+ * core.excludesFile, $GIT_DIR/info/exclude, and the .gitignore files of the directories between
+ * the root of the work tree and the directory
+ *
+ * @param {string} repoRoot - The root directory of the repository, anywhere inside a git work tree
+ * @returns {{frames: IgnoreFrame[], ignoreCase: boolean}} - The frames, lowest precedence first, and whether git matches case-insensitively;
+ * no frames when the directory is not in a git work tree
+ */
+function readGitExcludes(repoRoot) {
+    const settings = getIgnoreSettings(repoRoot);
+    if (!settings) return { frames: [], ignoreCase: false };
+
+    const { excludeFiles, ignoreCase } = settings;
+
+    // Walk up from repoRoot rather than down from the reported top level, which has symbolic links resolved
+    const depth = toPosix(path.relative(settings.topLevel, fs.realpathSync(repoRoot))).split('/').filter(Boolean).length;
+    const topLevel = path.resolve(repoRoot, ...Array(depth).fill('..'));
+
+    const frames = excludeFiles.map(filePath => readIgnoreFile(filePath, filePath, repoRoot, topLevel, ignoreCase, FILE_SYSTEM_SOURCE));
+    for (let level = depth; level > 0; level--) {
+        const dir = path.resolve(repoRoot, ...Array(level).fill('..'));
+        const filePath = path.join(dir, '.gitignore');
+        frames.push(readIgnoreFile(filePath, filePath, repoRoot, dir, ignoreCase, FILE_SYSTEM_SOURCE));
+    }
+    return { frames: frames.filter(Boolean), ignoreCase };
+}
+
+module.exports = {
+    createIgnoreFrame,
+    createIgnoreMatcher,
+    readGitExcludes,
+    readIgnoreFile
+};
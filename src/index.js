@@ -1,35 +1,22 @@
 const fs = require('fs');
 const path = require('path');
 const ignore = require('ignore');
+const { controlByteRatio, describeBinaryFile, detectImageType, explainBinaryContent, hashFile, readImageDimensions, readImageType, renderBinaryPlaceholder, toDataUri, BINARY_CONTROL_RATIO } = require('./binary');
+const { packFiles } = require('./budget');
+const { createEncodingOverrides, decodeText, detectBom, guessLegacyEncoding, guessUtf16, isValidEncoding } = require('./encodings');
+const { inferLanguage, numberLines, DELIMITER_STYLES, OUTPUT_FORMATS } = require('./formats');
+const { getFileDiff, listChangedFiles, listTrackedFiles } = require('./git');
+const { createIgnoreFrame, createIgnoreMatcher, readGitExcludes, readIgnoreFile } = require('./ignores');
+const { deserializeRepo, parseContentFile } = require('./restore');
+const { createFileListSource, createRevisionSource, FILE_SYSTEM_SOURCE } = require('./sources');
+const { buildIndex, findPartFiles, indexFileName, partFileName, splitIntoParts } = require('./split');
+const { resolveTokenizer, ESTIMATE_TOKENIZER } = require('./tokens');
 
-/** @constant {string} FILE_SEPARATOR - Separator line for file boundaries */
-const FILE_SEPARATOR = '='.repeat(60);
+/** @constant {number} DEFAULT_MAX_FILE_SIZE - Default maximum file size in bytes (1MB) */
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
 
-/** @constant {string} CONTENT_SEPARATOR - Separator line for content sections */
-const CONTENT_SEPARATOR = '-'.repeat(60);
-
-/**
- * Wraps content with file separators
- * @param {string} relativePath - The relative path of the file
- * @param {string} content - The content to wrap
- * @returns {string} - The wrapped content with separators
- */
-function wrapWithSeparators(relativePath, content) {
-    return [
-        '',  // First newline for visual separation between files
-        '',  // Second newline for visual separation between files
-        FILE_SEPARATOR,
-        `START OF FILE: ${relativePath}`,
-        CONTENT_SEPARATOR,
-        content,
-        CONTENT_SEPARATOR,
-        `END OF FILE: ${relativePath}`,
-        FILE_SEPARATOR,
-    ].join('\n');
-}
-
-/** @constant {number} DEFAULT_MAX_FILE_SIZE - Default maximum file size in bytes (8KB) */
-const DEFAULT_MAX_FILE_SIZE = 8192;
+/** @constant {number} TEXT_SAMPLE_LENGTH - Bytes read from the start of a file to tell text from binary files and detect the encoding (8KB) */
+const TEXT_SAMPLE_LENGTH = 8192;
 
 /** @constant {number} MIN_FILE_SIZE - Minimum allowed file size in bytes (512B) */
 const MIN_FILE_SIZE = 512;
@@ -37,31 +24,79 @@ const MIN_FILE_SIZE = 512;
 /** @constant {number} MAX_FILE_SIZE - Maximum allowed file size in bytes (4MB) */
 const MAX_FILE_SIZE = 4 * 1024 * 1024;
 
+/** @constant {number} LINE_COUNT_CHUNK_LENGTH - Bytes read at a time when counting the lines left out of a truncated file (1MB) */
+const LINE_COUNT_CHUNK_LENGTH = 1024 * 1024;
+
+/** @constant {number} SHORT_HASH_LENGTH - Hex digits of the SHA-256 of a file kept in its metadata */
+const SHORT_HASH_LENGTH = 12;
+
 /**
  * Configuration options for repository serialization
  * @typedef {Object} SerializeOptions
+ * @property {string} [format] - The output format, one of the keys of OUTPUT_FORMATS (default: text)
  * @property {string} repoRoot - The root directory of the repository to serialize (default: current working directory)
  * @property {string} outputDir - Directory where output files will be written (default: current working directory)
- * @property {string} structureFile - Name of the file to write structure to (default: repo_structure.txt)
- * @property {string} contentFile - Name of the file to write contents to (default: repo_content.txt)
+ * @property {string} structureFile - Name of the file to write structure to (default: repo_structure.txt, or .json for the json format)
+ * @property {string} contentFile - Name of the file to write contents to (default: repo_content.txt, or .json for the json format)
  * @property {string[]} additionalIgnorePatterns - Additional patterns to ignore
+ * @property {string[]} [includePatterns] - Patterns a file must match to be serialized (default: all files)
  * @property {boolean} [force] - Whether to overwrite existing files without prompting (default: false)
  * @property {boolean} [isCliCall] - Whether this is being called from the CLI (default: false)
- * @property {number} [maxFileSize] - Maximum file size in bytes to process (512B-4MB, default: 8KB)
+ * @property {number} [maxFileSize] - Maximum file size in bytes to process (512B-4MB, default: 1MB)
+ * @property {string} [truncate] - Keep the 'head', 'tail' or 'head+tail' of larger files instead of skipping them (default: skip)
  * @property {boolean} [ignoreDefaultPatterns] - Whether to disable default ignore patterns (default: false)
- * @property {boolean} [noGitignore] - Whether to disable .gitignore processing (default: false)
+ * @property {boolean} [noGitignore] - Whether to disable .gitignore and git exclude file processing (default: false)
  * @property {boolean} [silent] - Whether to suppress console output (default: false)
  * @property {boolean} [verbose] - Whether to enable verbose logging of all processed and ignored files (default: false)
  * @property {boolean} [hierarchicalContent] - Whether to serialize content in hierarchical order (default: false)
  * @property {number} [maxReplacementRatio] - Maximum allowed ratio of replacement characters (0-1)
  * @property {boolean} [keepReplacementChars] - Whether to keep replacement characters in output (default: false)
+ * @property {boolean} [gitTracked] - Whether to serialize only the files in the git index instead of walking the file system (default: false)
+ * @property {string} [rev] - Serialize the tree of this git commit-ish instead of the working directory (default: working directory)
+ * @property {string} [changedSince] - Serialize only files added or modified relative to this git ref (default: all files)
+ * @property {number} [diffContext] - With changedSince, serialize modified files as diffs with this many context lines instead of in full
+ * @property {string} [delimiter] - Delimiter style for the text format: 'fixed' separators or a per-run 'boundary' token (default: fixed)
+ * @property {string|Function|import('./tokens').Tokenizer} [tokenizer] - How tokens are counted: 'auto', 'chars', a module name or path, or a tokenizer (default: auto)
+ * @property {number} [maxTokens] - Fail instead of writing the output when the content file exceeds this many tokens (default: no limit)
+ * @property {number|string} [budget] - Serialize only the highest priority files that fit this many tokens, or a size such as '512KB' (default: no budget)
+ * @property {string[]} [priorityPatterns] - Patterns of files to pack first when a budget is set (default: none)
+ * @property {number|string} [split] - Write the content in numbered parts of at most this size, in bytes or with units (default: one file)
+ * @property {string} [symlinks] - How symbolic links are handled, one of SYMLINK_MODES (default: list)
+ * @property {boolean} [binaryPlaceholders] - Whether to write a placeholder with the type, size and hash of each binary file to the content file (default: false)
+ * @property {boolean} [embedImages] - Whether to embed PNG, JPEG, GIF, WebP and SVG images in the content file as base64 data URIs (default: false)
+ * @property {number|string} [maxImageSize] - Maximum size of an embedded image, in bytes or with units (default: 512KB)
+ * @property {Object<string, string>} [encodings] - Encodings of the files matching each pattern, overriding detection (default: none)
+ * @property {boolean} [lineNumbers] - Whether to prefix each line of file content with its line number (default: false)
+ * @property {boolean} [fileMetadata] - Whether to record the language, last-modified time and a short hash of each text file (default: false)
+ * @property {boolean} [toc] - Whether to start the content file with a table of contents; not supported by the json format (default: false)
+ * @property {boolean} [annotate] - Whether to annotate the structure tree with sizes, line and token counts, and why files were left out of the content file (default: false)
+ * @property {boolean} [showIgnored] - Whether to keep ignored files and directories in the structure tree as collapsed, marked entries (default: false)
  */
 
+/** @constant {number} DEFAULT_MAX_IMAGE_SIZE - Default maximum size in bytes of an image embedded in the content file (512KB) */
+const DEFAULT_MAX_IMAGE_SIZE = 512 * 1024;
+
 /** @constant {string[]} ALWAYS_IGNORE_PATTERNS - Patterns that are always ignored and cannot be overridden */
 const ALWAYS_IGNORE_PATTERNS = [
     '.git/',
 ];
 
+/** @constant {string} ALWAYS_IGNORE_ORIGIN - The origin of the always ignored patterns in ignore results */
+const ALWAYS_IGNORE_ORIGIN = 'always ignored patterns';
+
+/** @constant {string} DEFAULT_IGNORE_ORIGIN - The origin of the default ignore patterns in ignore results */
+const DEFAULT_IGNORE_ORIGIN = 'default ignore patterns';
+
+/** @constant {string} ADDITIONAL_IGNORE_ORIGIN - The origin of the additional (--ignore) patterns in ignore results */
+const ADDITIONAL_IGNORE_ORIGIN = 'additional ignore patterns';
+
+/** @constant {Object<string, string>} IGNORE_RULE_KINDS - Kinds of ignore rules keyed by the origins of patterns that do not come from ignore files */
+const IGNORE_RULE_KINDS = {
+    [ALWAYS_IGNORE_ORIGIN]: 'always-ignore',
+    [DEFAULT_IGNORE_ORIGIN]: 'default',
+    [ADDITIONAL_IGNORE_ORIGIN]: 'ignore-option',
+};
+
 /** @constant {string[]} DEFAULT_IGNORE_PATTERNS - Patterns that are ignored by default but can be included with --all */
 const DEFAULT_IGNORE_PATTERNS = [
     '.*',
@@ -69,6 +104,27 @@ const DEFAULT_IGNORE_PATTERNS = [
     'package-lock.json',
 ];
 
+/** @constant {string[]} SERIALIZER_IGNORE_FILES - Ignore files read in every directory in addition to .gitignore, for rules that only concern serialization */
+const SERIALIZER_IGNORE_FILES = [
+    '.repo-serializer-ignore',
+    '.serializerignore',
+];
+
+/** @constant {string} DEFAULT_OUTPUT_FORMAT - Default output format */
+const DEFAULT_OUTPUT_FORMAT = 'text';
+
+/** @constant {string} DEFAULT_DELIMITER - Default delimiter style for the text format */
+const DEFAULT_DELIMITER = 'fixed';
+
+/** @constant {string[]} TRUNCATE_MODES - Which part of a file larger than the max file size to keep */
+const TRUNCATE_MODES = ['head', 'tail', 'head+tail'];
+
+/** @constant {string[]} SYMLINK_MODES - How symbolic links are handled: left out, links to directories listed with their targets, or followed */
+const SYMLINK_MODES = ['skip', 'list', 'follow'];
+
+/** @constant {string} DEFAULT_SYMLINKS - Default handling of symbolic links */
+const DEFAULT_SYMLINKS = 'list';
+
 /** @constant {number} DEFAULT_REPLACEMENT_RATIO - Default maximum replacement character ratio */
 const DEFAULT_REPLACEMENT_RATIO = 0;
 
@@ -109,6 +165,31 @@ function parseFileSize(size = DEFAULT_MAX_FILE_SIZE) {
     }
 }
 
+/**
+ * Parses a budget: a plain number (optionally followed by "tokens") is a token count,
+ * a number with a size unit (B, KB, MB, GB) is a byte count
+ *
+ * @param {number|string} budget - The budget
+ * @returns {import('./budget').Budget} - The parsed budget
+ * @throws {Error} If the budget is neither a positive token count nor a size
+ */
+function parseBudget(budget) {
+    const text = String(budget).trim();
+    const tokens = text.match(/^(\d+)\s*(tokens?)?$/i);
+
+    let parsed;
+    try {
+        parsed = tokens ? { limit: parseInt(tokens[1], 10), unit: 'tokens' } : { limit: parseFileSize(text), unit: 'bytes' };
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (!parsed || parsed.limit < 1) {
+        throw new Error(`Invalid budget: ${budget}. Use a token count such as 100000 or a size such as 512KB`);
+    }
+    return parsed;
+}
+
 /**
  * Pretty-prints a file size in bytes to a human-readable format
  * @param {number} size - The file size in bytes
@@ -147,147 +228,351 @@ function hasHighReplacementCharacterRatio(text, maxRatio) {
 }
 
 /**
- * Checks if a file is a text file and within size limit
+ * Detects the encoding of a text file, or that it is not a text file, and why.
+ * An encoding override for the file wins; otherwise a byte order mark decides, as long as the text after it decodes
+ * with no more replacement characters than allowed. Without one, a file that is not UTF-16 and has more control bytes
+ * than text has, or than the max replacement ratio allows, is binary before any decoding is tried. Otherwise the file is
+ * read as UTF-8 as long as it has no more replacement characters than allowed. Failing that, a file that looks like UTF-16
+ * without a byte order mark, or that is not valid UTF-8 but decodes as Shift-JIS or windows-1252 without
+ * control characters, is read in that encoding.
  *
  * @param {string} filePath - The path to the file
- * @param {number} maxFileSize - Maximum file size in bytes
- * @param {number} [maxReplacementRatio] - Maximum allowed ratio of replacement characters
- * @returns {boolean} - True if the file is a text file and within size limit
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {{encoding: string|null, reason: string}} - The encoding name, or null if the file is not a text file, and what decided it
  */
-function isTextFile(filePath, maxFileSize, maxReplacementRatio) {
-    try {
-        const stats = fs.statSync(filePath);
+function explainTextEncoding(filePath, relativePath, context) {
+    const { maxReplacementRatio, source } = context;
+    const override = context.encodingFor(relativePath);
+    if (override) return { encoding: override, reason: 'encoding override' };
 
+    try {
         // Try to read the first chunk of the file to determine if it's text
-        const fd = fs.openSync(filePath, 'r');
-        const buffer = Buffer.alloc(Math.min(maxFileSize, stats.size)); // Read up to maxFileSize or file size
-        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
-        fs.closeSync(fd);
+        let buffer = source.read(filePath, TEXT_SAMPLE_LENGTH); // Read up to TEXT_SAMPLE_LENGTH or file size
 
         // If file is empty, consider it text
-        if (bytesRead === 0) return true;
-
-        // Decode as UTF-8 (handles BOM automatically)
-        const text = buffer.toString('utf8');
+        if (buffer.length === 0) return { encoding: 'utf-8', reason: 'empty file' };
 
         // Replace control characters (except Tab, LF, VT, FF, CR) with replacement character
-        const processedText = replaceControlCharacters(text);
+        const isText = text => !hasHighReplacementCharacterRatio(replaceControlCharacters(text), maxReplacementRatio);
+
+        // A binary file can start with the bytes of a byte order mark too
+        const bom = detectBom(buffer);
+        if (bom) {
+            if (isText(decodeText(buffer, bom, true))) return { encoding: bom, reason: 'byte order mark' };
+            return { encoding: null, reason: `byte order mark of ${bom}, but too many invalid or control characters` };
+        }
+
+        // Random or compressed data has control bytes throughout, which no encoding turns into text
+        const utf16 = guessUtf16(buffer);
+        if (!utf16 && controlByteRatio(buffer) > Math.max(BINARY_CONTROL_RATIO, maxReplacementRatio)) {
+            return { encoding: null, reason: 'binary: too many control bytes' };
+        }
 
-        return !hasHighReplacementCharacterRatio(processedText, maxReplacementRatio);
+        // A larger file may have been cut in the middle of a character
+        const utf8 = buffer.length === TEXT_SAMPLE_LENGTH ? trimIncompleteCharacter(buffer) : buffer;
+        if (isText(utf8.toString('utf8'))) {
+            const valid = !hasHighReplacementCharacterRatio(replaceControlCharacters(utf8.toString('utf8')), 0);
+            return { encoding: 'utf-8', reason: valid ? 'valid UTF-8' : 'UTF-8 within the max replacement ratio' };
+        }
+
+        const guess = utf16 || (isValidEncoding(buffer, 'utf-8') ? null : guessLegacyEncoding(buffer));
+        if (guess && isText(decodeText(buffer, guess, true))) {
+            return { encoding: guess, reason: utf16 ? 'UTF-16 without a byte order mark' : `not valid UTF-8, but valid ${guess}` };
+        }
+        return { encoding: null, reason: 'too many invalid or control characters in every encoding tried' };
     } catch (error) {
         console.error(`Error reading file ${filePath}: ${error.message}`);
-        return false;
+        return { encoding: null, reason: `could not be read: ${error.message}` };
     }
 }
 
 /**
- * Reads gitignore patterns from a directory
+ * Detects the encoding of a text file, or that it is not a text file (see explainTextEncoding)
  *
- * @param {string} dir - Directory to read patterns from
- * @param {string} repoRoot - Root directory of the repository
- * @returns {string[]} - Array of patterns from the gitignore file
+ * @param {string} filePath - The path to the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {string|null} - The encoding name, or null if the file is not a text file
  */
-function readGitignorePatterns(dir, repoRoot) {
-    const gitignorePath = path.join(dir, '.gitignore');
-    if (fs.existsSync(gitignorePath)) {
-        const relativeDir = path.relative(repoRoot, dir).replace(/\\/g, '/');
-        const content = fs.readFileSync(gitignorePath, 'utf-8');
-        return content.split('\n')
-            .filter(line => line.trim() && !line.trim().startsWith('#'))
-            .map(line => {
-                // If the pattern is only for this directory, prefix it with the relative path
-                return line.startsWith('/') ? relativeDir + line : line;
-            });
-    }
-    return [];
+function detectTextEncoding(filePath, relativePath, context) {
+    return explainTextEncoding(filePath, relativePath, context).encoding;
 }
 
 /**
- * Creates initial ignore instance with default patterns
+ * Creates the initial ignore matcher with default patterns
  *
+ * @param {string} repoRoot - The root directory of the repository
  * @param {string[]} additionalPatterns - Additional patterns to add
  * @param {boolean} [ignoreDefaultPatterns] - Whether to skip adding default ignore patterns
  * @param {boolean} [verbose] - Whether to enable verbose logging
- * @returns {Object} - Ignore instance with configured patterns
+ * @returns {Object} - Ignore matcher with configured patterns
  */
-function createInitialIgnore(additionalPatterns, ignoreDefaultPatterns, verbose) {
-    const ig = ignore();
-    ig.add(ALWAYS_IGNORE_PATTERNS);
+function createInitialIgnore(repoRoot, additionalPatterns, ignoreDefaultPatterns, verbose) {
+    let ig = createIgnoreMatcher([{ ...createIgnoreFrame(ALWAYS_IGNORE_PATTERNS, ALWAYS_IGNORE_ORIGIN, repoRoot), final: true }]);
 
     // Add default patterns unless ignoreDefaultPatterns is true
     if (!ignoreDefaultPatterns) {
-        ig.add(DEFAULT_IGNORE_PATTERNS);
+        ig = ig.push(createIgnoreFrame(DEFAULT_IGNORE_PATTERNS, DEFAULT_IGNORE_ORIGIN, repoRoot));
         if (verbose) console.log('Added default ignore patterns');
     }
 
     if (additionalPatterns.length > 0) {
-        ig.add(additionalPatterns);
+        ig = ig.push(createIgnoreFrame(additionalPatterns, ADDITIONAL_IGNORE_ORIGIN, repoRoot));
         if (verbose) console.log('Added additional ignore patterns');
     }
     return ig;
 }
 
 /**
- * Generates the file and folder structure of the repository.
+ * Shared state for a single walk over the repository
+ * @typedef {Object} WalkContext
+ * @property {string} repoRoot - The root directory of the repository
+ * @property {boolean} processGitignore - Whether to process .gitignore files
+ * @property {boolean} ignoreCase - Whether .gitignore and serializer ignore patterns match case-insensitively, as configured in git
+ * @property {number} maxFileSize - Maximum file size in bytes
+ * @property {string|null} truncate - Which part of larger files to keep, or null to skip them
+ * @property {boolean} silent - Whether to suppress console output
+ * @property {boolean} verbose - Whether to enable verbose logging of all processed and ignored files
+ * @property {boolean} hierarchical - Whether to use hierarchical ordering for content
+ * @property {number} maxReplacementRatio - Maximum allowed ratio of replacement characters
+ * @property {boolean} keepReplacementChars - Whether to keep replacement characters in output
+ * @property {Object|null} include - Ignore instance matching the include patterns, or null to include every file
+ * @property {import('./sources').Source} source - Where directory listings and file contents are read from
+ * @property {import('./git').ChangeSet|null} changes - Files changed since a git ref, or null when serializing every file
+ * @property {string|null} rev - The git revision being serialized, or null for the working tree
+ * @property {number|null} diffContext - Context lines for diffs of modified files, or null to serialize them in full
+ * @property {import('./tokens').Tokenizer} tokenizer - Counts the tokens of each file
+ * @property {string} symlinks - How symbolic links are handled, one of SYMLINK_MODES
+ * @property {boolean} binaryPlaceholders - Whether binary files get a placeholder in the content file
+ * @property {boolean} embedImages - Whether images are embedded in the content file as data URIs
+ * @property {number} maxImageSize - Maximum size in bytes of an embedded image
+ * @property {function(string): string|null} encodingFor - Returns the encoding a file is overridden to, or null to detect it
+ * @property {boolean} lineNumbers - Whether to prefix each line of file content with its line number
+ * @property {boolean} fileMetadata - Whether to record the language, last-modified time and a short hash of each text file
+ * @property {Map<string, {reason: string, size: number}>} skipped - Filled by the content walk with the files it leaves out, why, and their size
+ * @property {boolean} showIgnored - Whether the structure walk keeps ignored entries as collapsed, marked entries
+ */
+
+/**
+ * Creates the ignore matcher for a directory, adding the directory's .gitignore patterns to its parent's,
+ * followed by the patterns of its serializer ignore files, which can re-include what .gitignore excludes.
+ * Patterns are matched relative to the directory, as git does.
  *
- * @param {string} dir - The directory to traverse.
- * @param {Object} parentIg - The parent ignore instance
- * @param {string} repoRoot - The root directory of the repository.
- * @param {string} prefix - The prefix for indentation.
- * @param {string[]} additionalPatterns - Additional patterns to ignore.
- * @param {boolean} processGitignore - Whether to process .gitignore files
- * @returns {string} - The file and folder structure.
- */
-function generateStructure(dir, parentIg, repoRoot, prefix, additionalPatterns, processGitignore) {
-    let structure = '';
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    // Create new ignore instance for this directory
-    const ig = ignore().add(parentIg);
-
-    // Add patterns from this directory's .gitignore if it exists and processGitignore is true
-    if (processGitignore) {
-        const dirPatterns = readGitignorePatterns(dir, repoRoot);
-        if (dirPatterns.length > 0) {
-            ig.add(dirPatterns);
+ * @param {string} dir - The directory being entered
+ * @param {Object} parentIg - The parent ignore matcher
+ * @param {WalkContext} context - The walk context
+ * @param {boolean} [logPatterns] - Whether to log the ignore files read when verbose is enabled
+ * @returns {Object} - Ignore matcher for the directory
+ */
+function createDirectoryIgnore(dir, parentIg, context, logPatterns) {
+    const { repoRoot, processGitignore, ignoreCase, verbose } = context;
+    const relativeDir = path.relative(repoRoot, dir).replace(/\\/g, '/');
+    let ig = parentIg;
+
+    // Serializer ignore files apply even when .gitignore processing is disabled
+    const fileNames = processGitignore ? ['.gitignore', ...SERIALIZER_IGNORE_FILES] : SERIALIZER_IGNORE_FILES;
+    for (const fileName of fileNames) {
+        const origin = relativeDir !== '' ? `${relativeDir}/${fileName}` : fileName;
+        const frame = readIgnoreFile(path.join(dir, fileName), origin, repoRoot, dir, ignoreCase, context.source);
+        if (frame) {
+            ig = ig.push(frame);
+            if (logPatterns && verbose) {
+                console.log(`Added ${fileName === '.gitignore' ? 'gitignore' : 'serializer ignore'} patterns from: ${origin}`);
+            }
         }
     }
 
-    // Add root folder name if this is the root level
-    if (prefix === '') {
-        structure += `${path.basename(dir)}/\n`;
+    return ig;
+}
+
+/**
+ * A directory entry as the walk treats it
+ * @typedef {Object} WalkEntry
+ * @property {string} name - The name of the entry
+ * @property {string} fullPath - The absolute path of the entry
+ * @property {string} type - 'directory', 'file', 'symlink' for a symbolic link that is not followed, or 'special' for FIFOs, sockets and devices
+ * @property {string} [target] - The target of a symbolic link, as stored in the link
+ * @property {string} [reason] - Why a symbolic link is not followed ('broken' or 'cycle'), or the kind of special file
+ */
+
+/**
+ * Names the kind of a file that is neither a directory, a regular file nor a symbolic link
+ * @param {fs.Stats|fs.Dirent} stats - The type of the file
+ * @returns {string} - The kind of file
+ */
+function specialFileKind(stats) {
+    if (stats.isFIFO()) return 'FIFO';
+    if (stats.isSocket()) return 'socket';
+    if (stats.isBlockDevice()) return 'block device';
+    if (stats.isCharacterDevice()) return 'character device';
+    return 'special file';
+}
+
+/**
+ * Works out how the walk treats a directory entry. In list mode, symbolic links to files are read as the files
+ * they point to and other links are listed. In follow mode, links are followed unless they are broken or point
+ * to a directory the walk is already inside of.
+ *
+ * @param {fs.Dirent} entry - The entry, as listed by the source
+ * @param {string} dir - The directory the entry is in
+ * @param {WalkContext} context - The walk context
+ * @param {string[]} ancestors - Real paths of the directories being walked (follow mode only)
+ * @returns {WalkEntry} - The entry
+ */
+function classifyEntry(entry, dir, context, ancestors) {
+    const { source, symlinks } = context;
+    const walkEntry = { name: entry.name, fullPath: path.join(dir, entry.name) };
+    let stats = entry;
+
+    if (entry.isSymbolicLink()) {
+        walkEntry.target = source.readlink(walkEntry.fullPath);
+        if (symlinks === 'skip') {
+            return { ...walkEntry, type: 'symlink' };
+        }
+        stats = source.stat(walkEntry.fullPath);
+        if (symlinks === 'list' && !(stats && stats.isFile())) {
+            return { ...walkEntry, type: 'symlink' };
+        }
+        if (!stats) {
+            return { ...walkEntry, type: 'symlink', reason: 'broken' };
+        }
+        if (stats.isDirectory() && ancestors.includes(source.realpath(walkEntry.fullPath))) {
+            return { ...walkEntry, type: 'symlink', reason: 'cycle' };
+        }
     }
 
-    // Filter and sort entries
+    if (stats.isDirectory()) return { ...walkEntry, type: 'directory' };
+    if (stats.isFile()) return { ...walkEntry, type: 'file' };
+    return { ...walkEntry, type: 'special', reason: specialFileKind(stats) };
+}
+
+/**
+ * Adds a directory to the real paths of the directories being walked, which follow mode uses to detect cycles.
+ * Sources without realpath never list symbolic links, so there is nothing to track for them.
+ * @param {string} dir - The directory being entered
+ * @param {string[]} ancestors - Real paths of the directories above it
+ * @param {WalkContext} context - The walk context
+ * @returns {string[]} - Real paths of the directory and those above it
+ */
+function enterDirectory(dir, ancestors, context) {
+    return context.symlinks === 'follow' && context.source.realpath ? [...ancestors, context.source.realpath(dir)] : ancestors;
+}
+
+/**
+ * Checks whether a file matches the include patterns
+ *
+ * @param {string} relativePath - The path of the file relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {boolean} - True if there are no include patterns or the file matches one of them
+ */
+function isIncluded(relativePath, context) {
+    return !context.include || context.include.ignores(relativePath);
+}
+
+/**
+ * Counts the files, directories and symbolic links below a directory, without following symbolic links,
+ * and checks whether any file below it matches the include patterns
+ * @param {string} dir - The directory
+ * @param {WalkContext} context - The walk context
+ * @returns {{entries: number|null, included: boolean}} - The number of entries, or null if the directory or one below it
+ * cannot be read, and whether a file below it is included (always true without include patterns or a count)
+ */
+function countEntries(dir, context) {
+    let entries;
+    try {
+        entries = context.source.readdir(dir);
+    } catch (error) {
+        // An ignored directory is only counted, so a count that cannot be taken must not abort the run
+        return { entries: null, included: true };
+    }
+
+    let count = 0;
+    let included = !context.include;
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const below = countEntries(fullPath, context);
+            if (below.entries === null) return below;
+            count += below.entries;
+            included = included || below.included;
+        } else {
+            included = included || isIncluded(path.relative(context.repoRoot, fullPath).replace(/\\/g, '/'), context);
+        }
+        count += 1;
+    }
+    return { entries: count, included };
+}
+
+/**
+ * Generates the file and folder structure of the repository.
+ * With showIgnored, ignored entries are kept, marked with where they are ignored,
+ * and ignored directories are collapsed into a count of their entries instead of being walked.
+ *
+ * @param {string} dir - The directory to traverse.
+ * @param {Object} parentIg - The parent ignore matcher
+ * @param {WalkContext} context - The walk context
+ * @param {string[]} [ancestors] - Real paths of the directories above dir (follow mode only)
+ * @returns {import('./formats').StructureNode} - The structure tree rooted at dir.
+ */
+function generateStructure(dir, parentIg, context, ancestors = []) {
+    const { repoRoot } = context;
+    const entries = context.source.readdir(dir);
+    const ig = createDirectoryIgnore(dir, parentIg, context, false);
+    const walked = enterDirectory(dir, ancestors, context);
+
+    // Filter and sort entries; special files and skipped links are left out
     const validEntries = entries
+        .map(entry => classifyEntry(entry, dir, context, walked))
         .filter(entry => {
-            const fullPath = path.join(dir, entry.name);
-            let relativePath = path.relative(repoRoot, fullPath).replace(/\\/g, '/');
-            if (entry.isDirectory()) {
+            if (entry.type === 'special' || (entry.type === 'symlink' && context.symlinks === 'skip')) {
+                return false;
+            }
+            let relativePath = path.relative(repoRoot, entry.fullPath).replace(/\\/g, '/');
+            if (entry.type === 'directory') {
                 relativePath += '/';
+            } else if (!isIncluded(relativePath, context)) {
+                return false;
+            }
+            const { ignored, origin } = ig.test(relativePath);
+            // The .git directory is left out even when showing ignored entries
+            if (ignored && context.showIgnored && origin !== ALWAYS_IGNORE_ORIGIN) {
+                entry.ignoredBy = origin;
+                return true;
             }
-            return !ig.ignores(relativePath);
+            return !ignored;
         })
         .sort((a, b) => {
-            if (a.isDirectory() && !b.isDirectory()) return -1;
-            if (!a.isDirectory() && b.isDirectory()) return 1;
+            if (a.type === 'directory' && b.type !== 'directory') return -1;
+            if (a.type !== 'directory' && b.type === 'directory') return 1;
             return a.name.localeCompare(b.name);
         });
 
-    validEntries.forEach((entry, index) => {
-        const isLast = index === validEntries.length - 1;
-        const fullPath = path.join(dir, entry.name);
-        const connector = isLast ? '└── ' : '├── ';
-        const childPrefix = isLast ? prefix + '    ' : prefix + '│   ';
-
-        structure += `${prefix}${connector}${entry.name}${entry.isDirectory() ? '/' : ''}\n`;
-
-        if (entry.isDirectory()) {
-            structure += generateStructure(fullPath, ig, repoRoot, childPrefix, additionalPatterns, processGitignore);
+    const children = validEntries.map(entry => {
+        let node;
+        if (entry.ignoredBy !== undefined) {
+            node = { name: entry.name, path: path.relative(repoRoot, entry.fullPath).replace(/\\/g, '/'), type: entry.type, ignoredBy: entry.ignoredBy };
+            if (entry.type === 'directory') {
+                const { entries: count, included } = countEntries(entry.fullPath, context);
+                // With include patterns, an ignored directory is only listed when it holds an included file
+                if (!included) return null;
+                node.entries = count;
+            }
+        } else if (entry.type === 'directory') {
+            node = generateStructure(entry.fullPath, ig, context, walked);
+        } else {
+            node = { name: entry.name, path: path.relative(repoRoot, entry.fullPath).replace(/\\/g, '/'), type: entry.type };
         }
+        return entry.target !== undefined ? { ...node, target: entry.target } : node;
     });
 
-    return structure;
+    return {
+        name: path.basename(dir),
+        path: path.relative(repoRoot, dir).replace(/\\/g, '/'),
+        type: 'directory',
+        // With include patterns, drop directories that ended up without any included file
+        children: context.include ? children.filter(child => child !== null && (child.type !== 'directory' || child.ignoredBy !== undefined || child.children.length > 0)) : children,
+    };
 }
 
 /**
@@ -309,55 +594,315 @@ function stripReplacementCharacters(text) {
 }
 
 /**
- * Generates a file containing the contents of all text files in the repository.
+ * Counts the lines in a piece of text. A trailing newline does not start a new line.
+ * @param {string} text - The text to count
+ * @returns {number} - The number of lines
+ */
+function countLines(text) {
+    if (text === '') return 0;
+    const newlines = (text.match(/\n/g) || []).length;
+    return text.endsWith('\n') ? newlines : newlines + 1;
+}
+
+/**
+ * Drops an incomplete UTF-8 sequence from the end of a buffer cut at an arbitrary byte
+ * @param {Buffer} buffer - The buffer
+ * @returns {Buffer} - The buffer, ending on a character boundary
+ */
+function trimIncompleteCharacter(buffer) {
+    let start = buffer.length - 1;
+    // Walk back over at most three continuation bytes to the lead byte of the last character
+    while (start >= 0 && start > buffer.length - 4 && (buffer[start] & 0xC0) === 0x80) start--;
+    if (start < 0) return buffer;
+
+    const lead = buffer[start];
+    const expected = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+    return buffer.length - start < expected ? buffer.subarray(0, start) : buffer;
+}
+
+/**
+ * Drops the continuation bytes at the start of a buffer cut at an arbitrary byte
+ * @param {Buffer} buffer - The buffer
+ * @returns {Buffer} - The buffer, starting on a character boundary
+ */
+function skipContinuationBytes(buffer) {
+    let start = 0;
+    while (start < 3 && start < buffer.length && (buffer[start] & 0xC0) === 0x80) start++;
+    return buffer.subarray(start);
+}
+
+/**
+ * Tells binary files apart from text files that could not be decoded, among the files that failed text detection
+ * (see explainBinaryContent)
+ * @param {string} fullPath - The absolute path of the file
+ * @param {WalkContext} context - The walk context
+ * @returns {boolean} - True if the file looks binary
+ */
+function looksBinary(fullPath, context) {
+    try {
+        const header = context.source.read(fullPath, TEXT_SAMPLE_LENGTH);
+        return explainBinaryContent(header) !== null;
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Reads the start and/or end of a file larger than the max file size, as selected by the truncate mode.
+ * In UTF-8 and UTF-16, cuts fall on character boundaries, so the parts kept may be a few bytes shorter than the limit;
+ * in other encodings, the first character of the tail may be cut.
  *
- * @param {string} dir - The directory to traverse.
- * @param {Object} parentIg - The parent ignore instance
- * @param {string} repoRoot - The root directory of the repository.
- * @param {string[]} additionalPatterns - Additional patterns to ignore.
- * @param {number} maxFileSize - Maximum file size in bytes
- * @param {boolean} processGitignore - Whether to process .gitignore files
- * @param {boolean} silent - Whether to suppress console output
- * @param {boolean} verbose - Whether to enable verbose logging of all processed and ignored files
- * @param {boolean} hierarchical - Whether to use hierarchical ordering
- * @param {number} maxReplacementRatio - Maximum allowed ratio of replacement characters
- * @param {boolean} keepReplacementChars - Whether to keep replacement characters in output
- * @returns {string} - The file contents.
- */
-function generateContentFile(dir, parentIg, repoRoot, additionalPatterns, maxFileSize, processGitignore, silent, verbose, hierarchical, maxReplacementRatio, keepReplacementChars) {
-    let contentFile = '';
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    // Create new ignore instance for this directory
-    const ig = ignore().add(parentIg);
-
-    // Add patterns from this directory's .gitignore if it exists and processGitignore is true
-    if (processGitignore) {
-        const dirPatterns = readGitignorePatterns(dir, repoRoot);
-        if (dirPatterns.length > 0) {
-            ig.add(dirPatterns);
-            if (verbose) {
-                console.log(`Added gitignore patterns from: ${path.relative(repoRoot, dir) != '' ? path.relative(repoRoot, dir) + '/' : ''}.gitignore`);
-            }
+ * @param {string} fullPath - The absolute path of the file
+ * @param {number} size - The size of the file in bytes
+ * @param {WalkContext} context - The walk context
+ * @param {string} [encoding] - The encoding of the file (default: utf-8)
+ * @returns {{head: string, tail: string, truncated: number, tailStart: number}} - The text kept from either end,
+ * the number of bytes left out and the offset the tail starts at
+ */
+function readTruncated(fullPath, size, context, encoding = 'utf-8') {
+    const { maxFileSize, source, truncate } = context;
+    const headLength = { 'head': maxFileSize, 'tail': 0, 'head+tail': Math.ceil(maxFileSize / 2) }[truncate];
+    const tailLength = maxFileSize - headLength;
+
+    if (encoding !== 'utf-8') {
+        // UTF-16 is cut on code unit boundaries
+        const align = length => encoding.startsWith('utf-16') ? length - (length % 2) : length;
+        const head = source.read(fullPath, align(headLength));
+        const tail = source.read(fullPath, align(tailLength), size - align(tailLength));
+        return {
+            head: decodeText(head, encoding, true),
+            tail: decodeText(tail, encoding),
+            truncated: size - head.length - tail.length,
+            tailStart: size - tail.length,
+        };
+    }
+
+    const head = trimIncompleteCharacter(source.read(fullPath, headLength));
+    const tail = skipContinuationBytes(source.read(fullPath, tailLength, size - tailLength));
+
+    return {
+        head: head.toString('utf-8'),
+        tail: tail.toString('utf-8'),
+        truncated: size - head.length - tail.length,
+        tailStart: size - tail.length,
+    };
+}
+
+/**
+ * Counts the line breaks before an offset in a file, reading it in chunks.
+ * In UTF-16, only whole code units are counted; in the other supported encodings, a newline byte is always a line break.
+ *
+ * @param {string} fullPath - The absolute path of the file
+ * @param {number} end - The offset to count up to
+ * @param {WalkContext} context - The walk context
+ * @param {string} encoding - The encoding of the file
+ * @returns {number} - The number of line breaks
+ */
+function countNewlines(fullPath, end, context, encoding) {
+    const newline = { 'utf-16le': [0x0A, 0x00], 'utf-16be': [0x00, 0x0A] }[encoding];
+    let count = 0;
+    for (let position = 0; position < end; position += LINE_COUNT_CHUNK_LENGTH) {
+        // The chunk length is even, so UTF-16 code units never straddle two chunks
+        const chunk = context.source.read(fullPath, Math.min(LINE_COUNT_CHUNK_LENGTH, end - position), position);
+        for (let i = 0; i < chunk.length; i += newline ? 2 : 1) {
+            if (newline ? chunk[i] === newline[0] && chunk[i + 1] === newline[1] : chunk[i] === 0x0A) count++;
         }
     }
+    return count;
+}
+
+/**
+ * Describes a file for a snapshot reader: its language, when it was last modified and a short hash of its content.
+ * The hash covers the whole file on disk, even when only part of it is serialized.
+ * @param {string} fullPath - The absolute path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {number} size - The size of the file in bytes
+ * @param {WalkContext} context - The walk context
+ * @returns {{language?: string, modified?: string, hash: string}} - The metadata; the language and time are left out when unknown
+ */
+function readFileMetadata(fullPath, relativePath, size, context) {
+    const { source } = context;
+    const language = inferLanguage(relativePath);
+    // Whole seconds are enough to tell whether a snapshot is stale
+    const modified = source.mtime ? source.mtime(fullPath).toISOString().replace(/\.\d{3}Z$/, 'Z') : undefined;
+    return {
+        ...(language && { language }),
+        ...(modified && { modified }),
+        hash: hashFile(fullPath, size, source).slice(0, SHORT_HASH_LENGTH),
+    };
+}
+
+/**
+ * Reads a text file and builds its serialized record, transcoding it to UTF-8
+ * @param {string} fullPath - The absolute path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @param {string} [encoding] - The encoding of the file (default: utf-8)
+ * @returns {import('./formats').FileRecord} - The file record
+ */
+function readFileRecord(fullPath, relativePath, context, encoding = 'utf-8') {
+    const { changes, diffContext, maxFileSize, repoRoot, rev, source } = context;
+    const change = changes ? changes.changed.get(relativePath) : undefined;
+    const isDiff = change === 'modified' && diffContext != null;
+    const size = source.size(fullPath);
+
+    let parts;
+    let truncated = 0;
+    let tailStart = 0;
+    if (isDiff) {
+        parts = [getFileDiff(repoRoot, changes.ref, relativePath, diffContext, rev)];
+    } else if (size > maxFileSize) {
+        const kept = readTruncated(fullPath, size, context, encoding);
+        parts = [kept.head, kept.tail];
+        truncated = kept.truncated;
+        tailStart = kept.tailStart;
+    } else if (encoding === 'utf-8') {
+        parts = [source.read(fullPath).toString('utf-8')];
+    } else {
+        parts = [decodeText(source.read(fullPath), encoding)];
+    }
+
+    const texts = parts.map(replaceControlCharacters);
+    const replacementCharacters = texts.reduce((count, text) => count + (text.match(/\uFFFD/g) || []).length, 0);
+    let [content, tail] = texts.map(text => context.keepReplacementChars ? text : stripReplacementCharacters(text));
+    // Diffs are left unnumbered, as their hunk headers give the line numbers
+    const lineNumbers = context.lineNumbers && !isDiff;
+    if (lineNumbers) {
+        // The tail continues the numbering of the lines left out, and all numbers are aligned to the last one
+        const tailLine = tail ? countNewlines(fullPath, tailStart, context, encoding) + 1 : 0;
+        const width = String(Math.max(countLines(content), tailLine + countLines(tail || '') - 1)).length;
+        content = numberLines(content, 1, width);
+        tail = tail && numberLines(tail, tailLine, width);
+    }
+    if (truncated > 0) {
+        // The marker sits on its own line where the left-out bytes were
+        const head = content === '' || content.endsWith('\n') ? content : `${content}\n`;
+        content = `${head}[... truncated ${truncated} bytes ...]\n${tail}`;
+    }
+
+    return {
+        path: relativePath,
+        size,
+        lines: countLines(content),
+        tokens: context.tokenizer.count(content),
+        ...(context.fileMetadata && readFileMetadata(fullPath, relativePath, size, context)),
+        encoding: {
+            name: encoding,
+            status: replacementCharacters > 0 ? 'replaced' : 'valid',
+            replacementCharacters,
+        },
+        ...(change && { change }),
+        ...(isDiff && { diff: true }),
+        ...(truncated > 0 && { truncated }),
+        ...(lineNumbers && { lineNumbers }),
+        content,
+    };
+}
+
+/**
+ * Builds the record of a binary file, whose content is a placeholder describing the file
+ * @param {string} fullPath - The absolute path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {import('./formats').FileRecord} - The file record
+ */
+function readBinaryRecord(fullPath, relativePath, context) {
+    const { changes, source } = context;
+    const change = changes ? changes.changed.get(relativePath) : undefined;
+    const size = source.size(fullPath);
+    const binary = describeBinaryFile(fullPath, size, source);
+    const content = renderBinaryPlaceholder(binary, size);
+
+    return {
+        path: relativePath,
+        size,
+        lines: countLines(content),
+        tokens: context.tokenizer.count(content),
+        binary,
+        ...(change && { change }),
+        content,
+    };
+}
+
+/**
+ * Checks whether a file is an image to embed in the content file, reporting images over the size limit
+ * @param {string} fullPath - The absolute path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {boolean} - True if the file is an image within the size limit
+ */
+function isEmbeddableImage(fullPath, relativePath, context) {
+    const { maxImageSize, silent, source } = context;
+    if (!readImageType(fullPath, relativePath, source)) return false;
+
+    const size = source.size(fullPath);
+    if (size > maxImageSize) {
+        if (!silent) {
+            console.log(`Not embedding image larger than ${prettyFileSize(maxImageSize)}: ${relativePath} (${size} bytes)`);
+        }
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Builds the record of an image embedded in the content file, whose content is a base64 data URI
+ * @param {string} fullPath - The absolute path of the file
+ * @param {string} relativePath - The path relative to the repository root
+ * @param {WalkContext} context - The walk context
+ * @returns {import('./formats').FileRecord} - The file record
+ */
+function readImageRecord(fullPath, relativePath, context) {
+    const { changes, source } = context;
+    const change = changes ? changes.changed.get(relativePath) : undefined;
+    const data = source.read(fullPath);
+    const mime = detectImageType(data, relativePath);
+    const content = toDataUri(mime, data);
+
+    return {
+        path: relativePath,
+        size: data.length,
+        lines: 1,
+        tokens: context.tokenizer.count(content),
+        image: { mime, ...readImageDimensions(data, mime) },
+        ...(change && { change }),
+        content,
+    };
+}
+
+/**
+ * Collects the contents of all text files in the repository.
+ *
+ * @param {string} dir - The directory to traverse.
+ * @param {Object} parentIg - The parent ignore matcher
+ * @param {WalkContext} context - The walk context
+ * @param {string[]} [ancestors] - Real paths of the directories above dir (follow mode only)
+ * @returns {import('./formats').FileRecord[]} - The file records, in content order.
+ */
+function generateContentFile(dir, parentIg, context, ancestors = []) {
+    const { repoRoot, maxFileSize, silent, verbose, hierarchical, truncate } = context;
+    const files = [];
+    const entries = context.source.readdir(dir);
+    const ig = createDirectoryIgnore(dir, parentIg, context, true);
+    const walked = enterDirectory(dir, ancestors, context);
 
     // Filter and sort entries
     const validEntries = entries
+        .map(entry => classifyEntry(entry, dir, context, walked))
         .sort((a, b) => {
             if (!hierarchical) {
                 // For non-hierarchical mode, directories before files then alphabetical
-                if (a.isDirectory() && !b.isDirectory()) return -1;
-                if (!a.isDirectory() && b.isDirectory()) return 1;
+                if (a.type === 'directory' && b.type !== 'directory') return -1;
+                if (a.type !== 'directory' && b.type === 'directory') return 1;
             }
             return a.name.localeCompare(b.name);
         });
 
     for (const entry of validEntries) {
-        const fullPath = path.join(dir, entry.name);
+        const { fullPath } = entry;
         let relativePath = path.relative(repoRoot, fullPath).replace(/\\/g, '/');
 
-        if (entry.isDirectory()) {
+        if (entry.type === 'directory') {
             relativePath += '/';
         }
 
@@ -368,64 +913,215 @@ function generateContentFile(dir, parentIg, repoRoot, additionalPatterns, maxFil
             continue;
         }
 
-        if (entry.isDirectory()) {
+        if (entry.type !== 'directory' && !isIncluded(relativePath, context)) {
+            if (verbose) {
+                console.log(`Not included: ${relativePath}`);
+            }
+            continue;
+        }
+
+        if (entry.type === 'directory') {
             if (verbose) {
                 console.log(`Adding directory: ${relativePath}`);
             }
-            contentFile += '\n\n';
-            contentFile += generateContentFile(fullPath, ig, repoRoot, additionalPatterns, maxFileSize, processGitignore, silent, verbose, hierarchical, maxReplacementRatio, keepReplacementChars);
-        } else if (isTextFile(fullPath, maxFileSize, maxReplacementRatio)) {
+            files.push(...generateContentFile(fullPath, ig, context, walked));
+        } else if (entry.type === 'special') {
+            // Reading a FIFO or socket could block forever, and devices have no file content
+            if (!silent) {
+                console.log(`Skipping ${entry.reason}: ${relativePath}`);
+            }
+        } else if (entry.type === 'symlink') {
+            const link = `${relativePath} -> ${entry.target}`;
+            if (entry.reason === 'broken' && !silent) {
+                console.log(`Not following broken symbolic link: ${link}`);
+            } else if (entry.reason === 'cycle' && !silent) {
+                console.log(`Not following symbolic link back into a parent directory: ${link}`);
+            } else if (!entry.reason && verbose) {
+                console.log(`${context.symlinks === 'skip' ? 'Skipping' : 'Listing'} symbolic link: ${link}`);
+            }
+        } else if (context.embedImages && isEmbeddableImage(fullPath, relativePath, context)) {
             if (verbose) {
-                console.log(`Adding file: ${relativePath}`);
+                console.log(`Embedding image: ${relativePath}`);
+            }
+            files.push(readImageRecord(fullPath, relativePath, context));
+        } else {
+            const encoding = detectTextEncoding(fullPath, relativePath, context);
+            if (encoding === null) {
+                if (context.binaryPlaceholders) {
+                    if (verbose) {
+                        console.log(`Adding binary file placeholder: ${relativePath}`);
+                    }
+                    files.push(readBinaryRecord(fullPath, relativePath, context));
+                } else {
+                    context.skipped.set(relativePath, { reason: looksBinary(fullPath, context) ? 'binary' : 'encoding error', size: context.source.size(fullPath) });
+                    if (!silent) {
+                        console.log(`Skipping non-text file from content file: ${relativePath}`);
+                    }
+                }
+            } else if (!truncate && context.source.size(fullPath) > maxFileSize) {
+                context.skipped.set(relativePath, { reason: 'too large', size: context.source.size(fullPath) });
+                if (!silent) {
+                    console.log(`Skipping file larger than ${prettyFileSize(maxFileSize)} from content file: ${relativePath} (${context.source.size(fullPath)} bytes)`);
+                }
+            } else {
+                if (verbose) {
+                    console.log(`Adding file: ${relativePath}${encoding === 'utf-8' ? '' : ` (transcoded from ${encoding})`}`);
+                }
+                files.push(readFileRecord(fullPath, relativePath, context, encoding));
             }
-            contentFile += wrapWithSeparators(
-                relativePath,
-                keepReplacementChars ?
-                    replaceControlCharacters(fs.readFileSync(fullPath, 'utf-8')) :
-                    stripReplacementCharacters(replaceControlCharacters(fs.readFileSync(fullPath, 'utf-8')))
-            );
-        } else if (!silent) {
-            console.log(`Skipping non-text file from content file: ${relativePath}`);
         }
     }
 
-    return contentFile.trimStart();
+    return files;
+}
+
+/**
+ * Copies the token count of each serialized file onto its node in the structure tree
+ * @param {import('./formats').StructureNode} node - The structure tree
+ * @param {Map<string, number>} tokensByPath - Token counts keyed by relative path
+ */
+function addTokenCounts(node, tokensByPath) {
+    if (node.type !== 'directory') {
+        if (tokensByPath.has(node.path)) node.tokens = tokensByPath.get(node.path);
+        return;
+    }
+    (node.children || []).forEach(child => addTokenCounts(child, tokensByPath));
+}
+
+/**
+ * Annotates the structure tree: files with their size and the line and token counts of their content,
+ * or with the reason they were left out of the content file, and directories with the totals of the files below them.
+ * Annotating again, for another selection of files, replaces the earlier annotations.
+ *
+ * @param {import('./formats').StructureNode} node - The structure tree
+ * @param {Map<string, import('./formats').FileRecord>} recordsByPath - The records of the files in the content file, keyed by relative path
+ * @param {Map<string, {reason: string, size: number}>} skipped - The files left out of the content file, keyed by relative path
+ * @returns {{files: number, size: number, lines: number, tokens: number}} - The totals of the node
+ */
+function annotateStructure(node, recordsByPath, skipped) {
+    const totals = { files: 0, size: 0, lines: 0, tokens: 0 };
+    // Ignored entries are marked as such instead
+    if (node.ignoredBy !== undefined) {
+        return totals;
+    }
+    if (node.type === 'directory') {
+        for (const child of node.children) {
+            const childTotals = annotateStructure(child, recordsByPath, skipped);
+            Object.keys(totals).forEach(key => { totals[key] += childTotals[key]; });
+        }
+        return Object.assign(node, totals);
+    }
+
+    const record = recordsByPath.get(node.path);
+    const skip = skipped.get(node.path);
+    delete node.skipped;
+    delete node.lines;
+    if (record) {
+        Object.assign(node, { size: record.size, lines: record.lines, tokens: record.tokens });
+        return { files: 1, size: record.size, lines: record.lines, tokens: record.tokens };
+    }
+    if (skip) {
+        // Files over budget keep the token count they would have added
+        Object.assign(node, { size: skip.size, skipped: skip.reason });
+        return { ...totals, files: 1, size: skip.size };
+    }
+    // Symbolic links that are listed but not followed have no content
+    return totals;
+}
+
+/**
+ * Looks up an output format by name
+ * @param {string} format - The name of the output format
+ * @returns {Object} - The output format definition from OUTPUT_FORMATS
+ * @throws {Error} If the format is not supported
+ */
+function getOutputFormat(format) {
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+        throw new Error(`Invalid output format: ${format}. Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+    return OUTPUT_FORMATS[format];
 }
 
 /**
  * Main function to serialize the repository.
  * @param {SerializeOptions} options - Configuration options.
+ * @param {string} [options.format='text'] - The output format (text or json).
  * @param {string} options.repoRoot - The root directory of the repository to serialize.
  * @param {string} options.outputDir - The output directory for generated files.
- * @param {string} [options.structureFile='repo_structure.txt'] - The name of the structure output file.
- * @param {string} [options.contentFile='repo_content.txt'] - The name of the content output file.
+ * @param {string} [options.structureFile='repo_structure.<ext>'] - The name of the structure output file (extension depends on format).
+ * @param {string} [options.contentFile='repo_content.<ext>'] - The name of the content output file (extension depends on format).
  * @param {string[]} [options.additionalIgnorePatterns=[]] - Additional patterns to ignore.
+ * @param {string[]} [options.includePatterns=[]] - Patterns a file must match to be serialized (empty for all files).
  * @param {boolean} [options.force=false] - Overwrite existing files without prompting.
  * @param {boolean} [options.isCliCall=false] - Whether this is being called from the CLI.
- * @param {number} [options.maxFileSize=8192] - Maximum file size in bytes to process (512B-4MB).
+ * @param {number} [options.maxFileSize=1048576] - Maximum file size in bytes to process (512B-4MB).
+ * @param {string} [options.truncate] - Keep the 'head', 'tail' or 'head+tail' of larger files instead of skipping them.
  * @param {boolean} [options.ignoreDefaultPatterns=false] - Ignore default ignore patterns.
  * @param {boolean} [options.processGitignore=true] - Whether to process .gitignore files.
  * @param {boolean} [options.silent=false] - Whether to suppress console output.
  * @param {boolean} [options.verbose=false] - Whether to enable verbose logging of all processed and ignored files.
  * @param {boolean} [options.hierarchicalContent=false] - Whether to serialize content in hierarchical order.
+ * @param {boolean} [options.gitTracked=false] - Serialize only the files in the git index (committed or staged).
+ * @param {string} [options.rev] - Serialize the tree of this git commit-ish, read through git objects, instead of the working directory.
+ * @param {string} [options.changedSince] - Serialize only files added or modified relative to this git ref.
+ * @param {number} [options.diffContext] - With changedSince, serialize modified files as diffs with this many context lines.
+ * @param {string} [options.delimiter='fixed'] - Delimiter style for the text format ('fixed' or 'boundary').
+ * @param {string|Function|Object} [options.tokenizer='auto'] - How tokens are counted ('auto', 'chars', a module name or path, or a tokenizer).
+ * @param {number} [options.maxTokens] - Fail instead of writing the output when the content file exceeds this many tokens.
+ * @param {number|string} [options.budget] - Serialize only the highest priority files that fit this many tokens, or a size such as '512KB'.
+ * @param {string[]} [options.priorityPatterns=[]] - Patterns of files to pack first when a budget is set.
+ * @param {number|string} [options.split] - Write the content in numbered parts of at most this size (repo_content.part1.txt, ...) with an index file.
+ * @param {string} [options.symlinks='list'] - Leave symbolic links out ('skip'), serialize links to files and list other links with their targets ('list'), or serialize what they point to ('follow').
+ * @param {boolean} [options.binaryPlaceholders=false] - Write a placeholder with the type, size, SHA-256 and image dimensions of each binary file to the content file.
+ * @param {boolean} [options.embedImages=false] - Embed PNG, JPEG, GIF, WebP and SVG images in the content file as data URIs (attachments in the json format).
+ * @param {number|string} [options.maxImageSize=524288] - Maximum size of an embedded image; larger images are handled like other files.
+ * @param {Object<string, string>} [options.encodings={}] - Encodings keyed by pattern (e.g. { 'legacy/*.c': 'latin1' }), for files whose encoding is not detected correctly.
+ * @param {boolean} [options.lineNumbers=false] - Prefix each line of file content with its right-aligned line number.
+ * @param {boolean} [options.fileMetadata=false] - Record the language, last-modified time and a short SHA-256 of each text file, in a METADATA line in the text format.
+ * @param {boolean} [options.toc=false] - Start the content file with a table of contents: the line each file starts at, or links to the files in the markdown format.
+ * @param {boolean} [options.annotate=false] - Annotate the structure tree with sizes, line and token counts, directory totals, and why files were left out of the content file.
+ * @param {boolean} [options.showIgnored=false] - Keep ignored files and directories in the structure tree, marked with where they are ignored; ignored directories are collapsed into a count of their entries.
  */
 function serializeRepo(options) {
     const {
+        format = DEFAULT_OUTPUT_FORMAT,
         repoRoot = process.cwd(),
         outputDir = process.cwd(),
-        structureFile = 'repo_structure.txt',
-        contentFile = 'repo_content.txt',
+        structureFile = `repo_structure${getOutputFormat(format).extension}`,
+        contentFile = `repo_content${getOutputFormat(format).extension}`,
         additionalIgnorePatterns = [],
+        includePatterns = [],
         force = false,
         isCliCall = false,
         maxFileSize = DEFAULT_MAX_FILE_SIZE,
+        truncate = null,
         ignoreDefaultPatterns = false,
         noGitignore = false,
         silent = false,
         verbose = false,
         hierarchicalContent = false,
         maxReplacementRatio = DEFAULT_REPLACEMENT_RATIO,
-        keepReplacementChars = false
+        keepReplacementChars = false,
+        delimiter = DEFAULT_DELIMITER,
+        gitTracked = false,
+        rev = null,
+        changedSince = null,
+        diffContext = null,
+        tokenizer = 'auto',
+        maxTokens = null,
+        budget = null,
+        priorityPatterns = [],
+        split = null,
+        symlinks = DEFAULT_SYMLINKS,
+        binaryPlaceholders = false,
+        embedImages = false,
+        maxImageSize = DEFAULT_MAX_IMAGE_SIZE,
+        encodings = {},
+        lineNumbers = false,
+        fileMetadata = false,
+        toc = false,
+        annotate = false,
+        showIgnored = false
     } = options;
 
     // Validate maxFileSize
@@ -433,6 +1129,16 @@ function serializeRepo(options) {
         throw new Error(`Max file size must be between ${prettyFileSize(MIN_FILE_SIZE)} and ${prettyFileSize(MAX_FILE_SIZE)}`);
     }
 
+    // Validate truncate
+    if (truncate != null && !TRUNCATE_MODES.includes(truncate)) {
+        throw new Error(`Invalid truncate mode: ${truncate}. Supported modes: ${TRUNCATE_MODES.join(', ')}`);
+    }
+
+    // Validate symlinks
+    if (!SYMLINK_MODES.includes(symlinks)) {
+        throw new Error(`Invalid symlinks mode: ${symlinks}. Supported modes: ${SYMLINK_MODES.join(', ')}`);
+    }
+
     // Validate verbose and silent cannot be used together
     if (verbose && silent) {
         throw new Error('Cannot use verbose and silent options together');
@@ -443,25 +1149,70 @@ function serializeRepo(options) {
         throw new Error('Max replacement ratio must be between 0 and 1');
     }
 
-    // Check if output files already exist
+    // Validate toc
+    if (toc && format === 'json') {
+        throw new Error('The json format does not support a table of contents');
+    }
+
+    // Validate delimiter
+    if (!DELIMITER_STYLES.includes(delimiter)) {
+        throw new Error(`Invalid delimiter style: ${delimiter}. Supported styles: ${DELIMITER_STYLES.join(', ')}`);
+    }
+
+    // Validate diffContext
+    if (diffContext != null && (!Number.isInteger(diffContext) || diffContext < 0)) {
+        throw new Error('Diff context must be a non-negative integer');
+    }
+    if (diffContext != null && !changedSince) {
+        throw new Error('Diff context requires changedSince');
+    }
+
+    // Validate maxTokens
+    if (maxTokens != null && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+        throw new Error('Max tokens must be a positive integer');
+    }
+
+    // Validate budget
+    const parsedBudget = budget != null ? parseBudget(budget) : null;
+
+    // Validate split
+    const splitSize = split != null ? parseFileSize(split) : null;
+    if (splitSize != null && !(splitSize > 0)) {
+        throw new Error('Split size must be greater than 0');
+    }
+
+    // Validate maxImageSize
+    const parsedMaxImageSize = parseFileSize(maxImageSize);
+    if (!(parsedMaxImageSize > 0)) {
+        throw new Error('Max image size must be greater than 0');
+    }
+
+    // Validate encodings
+    const encodingFor = createEncodingOverrides(encodings);
+
+    // Validate gitTracked and rev cannot be used together
+    if (gitTracked && rev) {
+        throw new Error('Cannot use gitTracked and rev options together');
+    }
+
+    // Check if output files already exist (when splitting, also the index and the parts of any earlier split)
     const structurePath = path.join(outputDir, structureFile);
     const contentPath = path.join(outputDir, contentFile);
+    const indexPath = path.join(outputDir, indexFileName(contentFile));
+    const earlierParts = splitSize ? findPartFiles(contentPath) : [];
+    const existingPaths = [structurePath, contentPath, ...(splitSize ? [indexPath, ...earlierParts] : [])]
+        .filter(outputPath => fs.existsSync(outputPath));
 
-    if (fs.existsSync(structurePath) || fs.existsSync(contentPath)) {
+    if (existingPaths.length > 0) {
         if (force) {
-            const normalizedStructurePath = path.resolve(structurePath);
-            const normalizedContentPath = path.resolve(contentPath);
             const normalizedRepoRoot = path.resolve(repoRoot);
             // Delete existing files when force is true
-            if (fs.existsSync(structurePath) && normalizedStructurePath.startsWith(normalizedRepoRoot)) {
-                // Only add to ignore if the file is within the repo root
-                const relativeStructurePath = path.relative(repoRoot, structurePath).replace(/\\/g, '/');
-                additionalIgnorePatterns.push('/' + relativeStructurePath);
-            }
-            if (fs.existsSync(contentPath) && normalizedContentPath.startsWith(normalizedRepoRoot)) {
-                // Only add to ignore if the file is within the repo root
-                const relativeContentPath = path.relative(repoRoot, contentPath).replace(/\\/g, '/');
-                additionalIgnorePatterns.push('/' + relativeContentPath);
+            for (const existingPath of existingPaths) {
+                if (path.resolve(existingPath).startsWith(normalizedRepoRoot)) {
+                    // Only add to ignore if the file is within the repo root
+                    const relativePath = path.relative(repoRoot, existingPath).replace(/\\/g, '/');
+                    additionalIgnorePatterns.push('/' + relativePath);
+                }
             }
         } else if (isCliCall) {
             throw new Error('PROMPT_REQUIRED');
@@ -470,30 +1221,310 @@ function serializeRepo(options) {
         }
     }
 
-    // Create initial ignore instance with default patterns
-    const ig = createInitialIgnore(additionalIgnorePatterns, ignoreDefaultPatterns, verbose);
+    // Create initial ignore matcher with default patterns
+    let ig = createInitialIgnore(repoRoot, additionalIgnorePatterns, ignoreDefaultPatterns, verbose);
+
+    // A revision is read from git objects; in git-tracked mode the index decides which files belong
+    // to the repository; and with changedSince only the files touched since the ref are walked
+    let source = FILE_SYSTEM_SOURCE;
+    let changes = null;
+    if (rev) {
+        source = createRevisionSource(repoRoot, rev);
+        if (verbose) console.log(`Reading files from git revision: ${rev}`);
+    }
+    if (gitTracked || changedSince) {
+        let paths = gitTracked ? listTrackedFiles(repoRoot) : null;
+        if (gitTracked && verbose) console.log('Listing files from the git index');
+        if (changedSince) {
+            changes = listChangedFiles(repoRoot, changedSince, !gitTracked, rev);
+            paths = paths ? paths.filter(relativePath => changes.changed.has(relativePath)) : [...changes.changed.keys()];
+            if (verbose) console.log(`Listing files changed since: ${changedSince}`);
+        }
+        source = createFileListSource(repoRoot, paths, source);
+    }
+
+    // Outside a revision, git also reads core.excludesFile, .git/info/exclude and the .gitignore files above repoRoot
+    const processGitignore = !noGitignore && !gitTracked;
+    let ignoreCase = false;
+    if (processGitignore && !rev) {
+        const excludes = readGitExcludes(repoRoot);
+        for (const frame of excludes.frames) {
+            ig = ig.push(frame);
+            if (verbose) console.log(`Added git exclude patterns from: ${frame.origin}`);
+        }
+        ignoreCase = excludes.ignoreCase;
+    }
+
+    const context = {
+        repoRoot,
+        processGitignore,
+        ignoreCase,
+        maxFileSize,
+        truncate,
+        silent,
+        verbose,
+        hierarchical: hierarchicalContent,
+        maxReplacementRatio,
+        keepReplacementChars,
+        include: includePatterns.length > 0 ? ignore().add(includePatterns) : null,
+        source,
+        changes,
+        diffContext,
+        rev,
+        tokenizer: resolveTokenizer(tokenizer),
+        symlinks,
+        binaryPlaceholders,
+        embedImages,
+        maxImageSize: parsedMaxImageSize,
+        encodingFor,
+        lineNumbers,
+        fileMetadata,
+        skipped: new Map(),
+        showIgnored
+    };
+    const tree = generateStructure(repoRoot, ig, context);
+    if (changes) {
+        tree.deleted = changes.deleted;
+    }
+    const allFiles = generateContentFile(repoRoot, ig, context);
+    addTokenCounts(tree, new Map(allFiles.map(file => [file.path, file.tokens])));
+
+    const outputFormat = getOutputFormat(format);
+    const measure = text => parsedBudget && parsedBudget.unit === 'bytes' ? Buffer.byteLength(text) : context.tokenizer.count(text);
+
+    // Files left out to fit the budget are listed as omitted, and annotated as such
+    const selectFiles = (target, kept, omitted) => {
+        if (parsedBudget) {
+            target.omitted = omitted.map(file => file.path).sort();
+        }
+        if (annotate) {
+            const skipped = new Map([...context.skipped, ...omitted.map(file => [file.path, { reason: 'over budget', size: file.size }])]);
+            annotateStructure(target, new Map(kept.map(file => [file.path, file])), skipped);
+        }
+        return target;
+    };
 
-    const structure = generateStructure(repoRoot, ig, repoRoot, '', additionalIgnorePatterns, !noGitignore);
-    const content = generateContentFile(repoRoot, ig, repoRoot, additionalIgnorePatterns, maxFileSize, !noGitignore, silent, verbose, hierarchicalContent, maxReplacementRatio, keepReplacementChars);
+    let files = allFiles;
+    let omitted = [];
+    if (parsedBudget) {
+        const cost = parsedBudget.unit === 'tokens' ? file => file.tokens : file => Buffer.byteLength(file.content);
+        // Formats that embed the structure tree also list the omitted files, so each selection is measured with a copy of the tree
+        const packed = packFiles(allFiles, parsedBudget, cost, (kept, left) =>
+            measure(outputFormat.renderContent(kept, selectFiles(structuredClone(tree), kept, left), { delimiter, toc })), priorityPatterns);
+        files = packed.kept;
+        omitted = packed.omitted;
+    }
+    selectFiles(tree, files, omitted);
+    if (parsedBudget && verbose) {
+        tree.omitted.forEach(file => console.log(`Omitted (over budget): ${file}`));
+    }
+
+    const structure = outputFormat.renderStructure(tree);
+    const content = outputFormat.renderContent(files, tree, { delimiter, toc });
+
+    // Count the rendered content, separators included, as that is what ends up in a prompt
+    const totalTokens = context.tokenizer.count(content);
+    if (maxTokens != null && totalTokens > maxTokens) {
+        throw new Error(`Content has ${totalTokens} tokens (${context.tokenizer.name}), more than max tokens ${maxTokens}`);
+    }
+
+    // Each part is rendered on its own, so every part can be read (and restored) independently
+    const parts = splitSize ? splitIntoParts(files, splitSize, (partFiles, part) => outputFormat.renderContent(partFiles, tree, { delimiter, toc, part })) : null;
 
     // Ensure output directory exists
     fs.mkdirSync(outputDir, { recursive: true });
 
-    fs.writeFileSync(path.join(outputDir, structureFile), structure);
-    fs.writeFileSync(path.join(outputDir, contentFile), content);
+    fs.writeFileSync(structurePath, structure);
+    console.log(`Repository structure written to: ${structurePath}`);
+
+    if (parts) {
+        const partFiles = parts.map((part, index) => partFileName(contentFile, index + 1));
+        parts.forEach((part, index) => {
+            const partPath = path.join(outputDir, partFiles[index]);
+            fs.writeFileSync(partPath, part.content);
+            console.log(`Repository contents written to: ${partPath}`);
+        });
+
+        // Parts left over from an earlier, longer split would be mistaken for part of this one
+        const partPaths = partFiles.map(partFile => path.resolve(outputDir, partFile));
+        earlierParts.filter(partPath => !partPaths.includes(path.resolve(partPath))).forEach(partPath => fs.rmSync(partPath));
+        // And so would an unsplit content file from an earlier run
+        if (existingPaths.includes(contentPath)) fs.rmSync(contentPath);
+
+        // Part names in the index are relative to the index file
+        const index = buildIndex(parts, partFiles.map(partFile => path.basename(partFile)));
+        fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+        console.log(`Repository content index written to: ${indexPath}`);
+    } else {
+        fs.writeFileSync(contentPath, content);
+        console.log(`Repository contents written to: ${contentPath}`);
+    }
+
+    if (!silent) {
+        console.log(`Total: ${files.length} files, ${totalTokens.toLocaleString('en-US')} tokens (${context.tokenizer.name})`);
+        if (parsedBudget) {
+            console.log(`Budget: kept ${files.length} of ${allFiles.length} files within ${parsedBudget.limit.toLocaleString('en-US')} ${parsedBudget.unit}`);
+        }
+    }
+}
+
+/**
+ * The ignore rule that decides whether a path is ignored
+ * @typedef {Object} IgnoreRuleExplanation
+ * @property {string} kind - 'always-ignore', 'default' (a default ignore pattern), 'ignore-option' (an additional ignore pattern),
+ * or 'ignore-file' (a .gitignore or serializer ignore file, .git/info/exclude or core.excludesFile)
+ * @property {string} origin - Where the pattern comes from, such as src/.gitignore or 'default ignore patterns'
+ * @property {string|null} pattern - The pattern, starting with ! when it re-includes the path
+ * @property {number|null} line - The line of the pattern in its ignore file (ignore files only)
+ */
+
+/**
+ * Why a path is serialized or left out
+ * @typedef {Object} PathExplanation
+ * @property {string} path - The path relative to the repository root, with a trailing slash for directories
+ * @property {string|null} type - 'file', 'directory', 'symlink' or 'special', as the walk treats the path, or null if it does not exist
+ * @property {boolean} ignored - Whether the path is ignored
+ * @property {IgnoreRuleExplanation|null} rule - The rule that decides whether the path is ignored (for a path inside an ignored directory,
+ * the rule that ignores the directory), or null if no pattern matches the path
+ * @property {boolean} included - Whether the path matches the include patterns (always true for directories, and without include patterns)
+ * @property {{text: boolean, encoding: string|null, reason: string}|null} text - Whether text detection accepts the file, the encoding it is read in,
+ * and what decided it (regular files only)
+ * @property {number|null} size - The size of the file in bytes (regular files only)
+ * @property {boolean} tooLarge - Whether the file is larger than the max file size, and so left out without a truncate mode
+ * @property {boolean} serialized - Whether the content of the file is serialized, or the directory is walked
+ */
+
+/**
+ * Explains why a path is serialized or left out: the ignore rule that decides whether it is ignored, whether it matches the include patterns,
+ * and for files whether text detection accepts them and whether they are too large. The path is looked at the way a walk of the working
+ * directory would, reading the ignore files of the directories above it.
+ *
+ * @param {Object} options - Configuration options.
+ * @param {string} options.path - The path to explain, relative to the repository root or absolute (a trailing slash marks a directory that does not exist).
+ * @param {string} [options.repoRoot=process.cwd()] - The root directory of the repository.
+ * @param {string[]} [options.additionalIgnorePatterns=[]] - Additional patterns to ignore.
+ * @param {string[]} [options.includePatterns=[]] - Patterns a file must match to be serialized (empty for all files).
+ * @param {boolean} [options.ignoreDefaultPatterns=false] - Ignore default ignore patterns.
+ * @param {boolean} [options.noGitignore=false] - Whether to skip .gitignore files and git's exclude files.
+ * @param {number} [options.maxFileSize=1048576] - Maximum file size in bytes to process.
+ * @param {string} [options.truncate] - Keep the 'head', 'tail' or 'head+tail' of larger files instead of skipping them.
+ * @param {number} [options.maxReplacementRatio=0] - Maximum ratio of replacement characters allowed.
+ * @param {Object<string, string>} [options.encodings={}] - Encodings keyed by pattern, for files whose encoding is not detected correctly.
+ * @param {string} [options.symlinks='list'] - How symbolic links are handled ('skip', 'list' or 'follow').
+ * @returns {PathExplanation} - The explanation
+ * @throws {Error} If the path is outside the repository
+ */
+function explainPath(options) {
+    const {
+        path: targetPath,
+        repoRoot = process.cwd(),
+        additionalIgnorePatterns = [],
+        includePatterns = [],
+        ignoreDefaultPatterns = false,
+        noGitignore = false,
+        maxFileSize = DEFAULT_MAX_FILE_SIZE,
+        truncate = null,
+        maxReplacementRatio = DEFAULT_REPLACEMENT_RATIO,
+        encodings = {},
+        symlinks = DEFAULT_SYMLINKS
+    } = options;
+
+    const fullPath = path.resolve(repoRoot, targetPath);
+    const relativePath = path.relative(repoRoot, fullPath).replace(/\\/g, '/');
+    if (relativePath === '..' || relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+        throw new Error(`Path is outside the repository: ${targetPath}`);
+    }
+
+    let ig = createInitialIgnore(repoRoot, additionalIgnorePatterns, ignoreDefaultPatterns, false);
+    let ignoreCase = false;
+    if (!noGitignore) {
+        const excludes = readGitExcludes(repoRoot);
+        excludes.frames.forEach(frame => { ig = ig.push(frame); });
+        ignoreCase = excludes.ignoreCase;
+    }
+
+    const context = {
+        repoRoot,
+        processGitignore: !noGitignore,
+        ignoreCase,
+        maxFileSize,
+        truncate,
+        verbose: false,
+        maxReplacementRatio,
+        include: includePatterns.length > 0 ? ignore().add(includePatterns) : null,
+        source: FILE_SYSTEM_SOURCE,
+        symlinks,
+        encodingFor: createEncodingOverrides(encodings),
+    };
+
+    // The repository root is always walked
+    if (relativePath === '') {
+        return { path: '', type: 'directory', ignored: false, rule: null, included: true, text: null, size: null, tooLarge: false, serialized: true };
+    }
+
+    // Read the ignore files of the directories the walk passes through on the way to the path
+    const names = relativePath.split('/');
+    let dir = repoRoot;
+    ig = createDirectoryIgnore(dir, ig, context);
+    for (const name of names.slice(0, -1)) {
+        dir = path.join(dir, name);
+        ig = createDirectoryIgnore(dir, ig, context);
+    }
+
+    let entry = null;
+    const dirStats = context.source.stat(dir);
+    const dirent = dirStats && dirStats.isDirectory() && context.source.readdir(dir).find(({ name }) => name === names[names.length - 1]);
+    if (dirent) {
+        entry = classifyEntry(dirent, dir, context, enterDirectory(dir, [], context));
+    }
+    const isDirectory = entry ? entry.type === 'directory' : /[\\/]$/.test(targetPath);
+    const testedPath = isDirectory ? `${relativePath}/` : relativePath;
+
+    const { ignored, origin, pattern, line } = ig.test(testedPath);
+    const kind = IGNORE_RULE_KINDS[origin] || 'ignore-file';
+    const rule = origin !== null ? { kind, origin, pattern, line: kind === 'ignore-file' ? line : null } : null;
+    const included = isDirectory || isIncluded(testedPath, context);
+
+    let text = null;
+    let size = null;
+    let tooLarge = false;
+    if (entry && entry.type === 'file') {
+        const detected = explainTextEncoding(fullPath, testedPath, context);
+        text = { text: detected.encoding !== null, encoding: detected.encoding, reason: detected.reason };
+        if (!text.text && looksBinary(fullPath, context)) {
+            text.reason = `binary: ${explainBinaryContent(context.source.read(fullPath, TEXT_SAMPLE_LENGTH))}`;
+        }
+        size = context.source.size(fullPath);
+        tooLarge = !truncate && size > maxFileSize;
+    }
 
-    console.log(`Repository structure written to: ${path.join(outputDir, structureFile)}`);
-    console.log(`Repository contents written to: ${path.join(outputDir, contentFile)}`);
+    const serialized = !ignored && (isDirectory ? entry !== null : included && text !== null && text.text && !tooLarge);
+    return { path: testedPath, type: entry ? entry.type : null, ignored, rule, included, text, size, tooLarge, serialized };
 }
 
 module.exports = {
+    deserializeRepo,
+    explainPath,
+    parseContentFile,
+    parseBudget,
     parseFileSize,
     prettyFileSize,
+    resolveTokenizer,
     serializeRepo,
+    DEFAULT_DELIMITER,
     DEFAULT_IGNORE_PATTERNS,
     ALWAYS_IGNORE_PATTERNS,
+    DELIMITER_STYLES,
     DEFAULT_MAX_FILE_SIZE,
+    DEFAULT_MAX_IMAGE_SIZE,
+    DEFAULT_OUTPUT_FORMAT,
     DEFAULT_REPLACEMENT_RATIO,
+    DEFAULT_SYMLINKS,
+    ESTIMATE_TOKENIZER,
+    SERIALIZER_IGNORE_FILES,
     MIN_FILE_SIZE,
-    MAX_FILE_SIZE
+    MAX_FILE_SIZE,
+    OUTPUT_FORMATS,
+    SYMLINK_MODES,
+    TRUNCATE_MODES
 };
\ No newline at end of file
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDataUri } = require('./binary');
+const { parseMetadataLine, stripLineNumbers, BOUNDARY_PREFIX, CONTENT_SEPARATOR, FILE_SEPARATOR, METADATA_PREFIX, TOC_HEADING } = require('./formats');
+const { INDEX_SUFFIX } = require('./split');
+
+/**
+ * A file parsed back out of a content snapshot
+ * @typedef {Object} SnapshotEntry
+ * @property {string} path - The relative path recorded in the snapshot
+ * @property {string|Buffer} content - The file content, decoded for embedded images
+ * @property {boolean} [continuation] - True when the block continues a file from the previous part of a split snapshot
+ * @property {boolean} [continues] - True when the file continues in the next part of a split snapshot
+ * @property {boolean} [binary] - True when the content is the placeholder of a binary file, which cannot be restored
+ * @property {boolean} [image] - True when the content is an embedded image, as a base64 data URI
+ * @property {boolean} [lineNumbers] - True when each line of the content is prefixed with its line number
+ * @property {boolean} [diff] - True when the content is a unified diff rather than the full file, which cannot be restored
+ * @property {number} [truncatedFrom] - The size in bytes of a file of which only a part was serialized, which cannot be restored
+ * @property {Object} [metadata] - The size, line count, language, last-modified time and short hash recorded for the file, if any
+ */
+
+/**
+ * Configuration options for restoring a repository from a content snapshot
+ * @typedef {Object} DeserializeOptions
+ * @property {string} [contentFile] - Path of the content snapshot to read, or of the index file of a split snapshot (default: repo_content.txt in the current working directory)
+ * @property {string} [outputDir] - Directory to recreate the files in (default: current working directory)
+ * @property {boolean} [force] - Whether to overwrite existing files without prompting (default: false)
+ * @property {boolean} [dryRun] - Whether to only list the files that would be restored (default: false)
+ * @property {boolean} [isCliCall] - Whether this is being called from the CLI (default: false)
+ * @property {boolean} [verbose] - Whether to log every restored file (default: false)
+ */
+
+/**
+ * Returns the 1-based line number of an offset in text, for error messages
+ * @param {string} text - The text
+ * @param {number} offset - The character offset
+ * @returns {number} - The line number
+ */
+function lineNumberAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Escapes the regular expression special characters in text
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses the file blocks of a content snapshot written in the text format.
+ * Snapshots written with boundary delimiters start with a BOUNDARY line, and every content
+ * separator carries that token, which never occurs inside a file. A table of contents above the first block is skipped. In the parts of a split snapshot,
+ * chunks of a file cut across parts are marked with CONTINUATION OF FILE and CONTINUED IN NEXT PART.
+ * A METADATA line below the path of the first block of a file is parsed into the metadata of the entry.
+ * Embedded images and placeholders of binary files are marked with IMAGE FILE and BINARY FILE instead of FILE,
+ * and files transcoded to UTF-8 have an ENCODING line after the path, which is skipped: they are restored as UTF-8.
+ * A DIFF line marks files serialized as a diff against an earlier revision, and a TRUNCATED line files of which only a part was kept.
+ * A LINE NUMBERS line marks files whose lines are numbered; the numbers are left in the content,
+ * as a chunk of a file cut across parts can start in the middle of a line.
+ *
+ * @param {string} text - The snapshot text
+ * @returns {SnapshotEntry[]} - The files in the snapshot, in order
+ * @throws {Error} If the snapshot is not made of well-formed file blocks
+ */
+function parseContentFile(text) {
+    const entries = [];
+    let offset = 0;
+    let contentSeparator = CONTENT_SEPARATOR;
+
+    const boundaryLine = text.startsWith(BOUNDARY_PREFIX) ? /^.*/.exec(text)[0] : null;
+    if (boundaryLine) {
+        contentSeparator += ` ${boundaryLine.slice(BOUNDARY_PREFIX.length)}`;
+        offset = boundaryLine.length;
+    }
+
+    // The table of contents lists one file per line, as a line number and a path
+    const tableOfContents = new RegExp(`\\n?${TOC_HEADING}\\n(?: *\\d+ {2}.*\\n)*`, 'y');
+    tableOfContents.lastIndex = offset;
+    if (tableOfContents.test(text)) {
+        offset = tableOfContents.lastIndex;
+    }
+
+    // Matches the header of a file block, capturing the relative path
+    const fileHeader = new RegExp(`${FILE_SEPARATOR}\\n(START|CONTINUATION) OF (BINARY |IMAGE )?FILE: (.*)\\n(${METADATA_PREFIX}.*\\n)?(?:ENCODING: .*\\n)?(DIFF: yes\\n)?(?:TRUNCATED: (\\d+) bytes\\n)?(LINE NUMBERS: yes\\n)?${escapeRegExp(contentSeparator)}\\n`, 'y');
+
+    while (true) {
+        // Skip the blank lines that separate file blocks
+        while (offset < text.length && (text[offset] === '\n' || text[offset] === '\r')) offset++;
+        if (offset >= text.length) break;
+
+        fileHeader.lastIndex = offset;
+        const header = fileHeader.exec(text);
+        if (!header) {
+            throw new Error(`Invalid snapshot: expected START OF FILE at line ${lineNumberAt(text, offset)}`);
+        }
+
+        const kind = `${header[2] || ''}FILE`;
+        const relativePath = header[3];
+        const contentStart = fileHeader.lastIndex;
+        // The content is followed by a newline, so an empty file ends right where it starts
+        const footers = [`END OF ${kind}`, 'CONTINUED IN NEXT PART']
+            .map(label => {
+                const footer = `\n${contentSeparator}\n${label}: ${relativePath}\n${FILE_SEPARATOR}`;
+                return { label, footer, index: text.indexOf(footer, contentStart - 1) };
+            })
+            .filter(footer => footer.index !== -1)
+            .sort((a, b) => a.index - b.index);
+        if (footers.length === 0) {
+            throw new Error(`Invalid snapshot: missing END OF FILE for ${relativePath}`);
+        }
+
+        const { label, footer, index: contentEnd } = footers[0];
+        entries.push({
+            path: relativePath,
+            content: text.slice(contentStart, Math.max(contentStart, contentEnd)),
+            ...(header[1] === 'CONTINUATION' && { continuation: true }),
+            ...(label === 'CONTINUED IN NEXT PART' && { continues: true }),
+            ...(kind === 'BINARY FILE' && { binary: true }),
+            ...(kind === 'IMAGE FILE' && { image: true }),
+            ...(header[4] && { metadata: parseMetadataLine(header[4].slice(0, -1)) }),
+            ...(header[5] && { diff: true }),
+            ...(header[6] && { truncatedFrom: Number(header[6]) }),
+            ...(header[7] && { lineNumbers: true }),
+        });
+        offset = contentEnd + footer.length;
+    }
+
+    return entries;
+}
+
+/**
+ * Joins the chunks of files cut across the parts of a split snapshot
+ *
+ * @param {SnapshotEntry[]} entries - The entries of all parts, in order
+ * @returns {SnapshotEntry[]} - One entry per file
+ * @throws {Error} If a chunk of a file is missing
+ */
+function joinChunks(entries) {
+    const joined = [];
+
+    for (const entry of entries) {
+        const previous = joined[joined.length - 1];
+        if (entry.continuation) {
+            if (!previous || !previous.continues || previous.path !== entry.path) {
+                throw new Error(`Invalid snapshot: continuation of ${entry.path} without its start`);
+            }
+            previous.content += entry.content;
+            previous.continues = entry.continues;
+        } else if (previous && previous.continues) {
+            throw new Error(`Invalid snapshot: missing continuation of ${previous.path}`);
+        } else {
+            joined.push({ ...entry });
+        }
+    }
+
+    if (joined.length > 0 && joined[joined.length - 1].continues) {
+        throw new Error(`Invalid snapshot: missing continuation of ${joined[joined.length - 1].path}`);
+    }
+    return joined.map(({ path: relativePath, content, binary, image, lineNumbers, metadata, diff, truncatedFrom }) => ({
+        path: relativePath,
+        content,
+        ...(metadata && { metadata }),
+        ...(binary && { binary }),
+        ...(image && { image }),
+        ...(lineNumbers && { lineNumbers }),
+        ...(diff && { diff }),
+        ...(truncatedFrom !== undefined && { truncatedFrom }),
+    }));
+}
+
+/**
+ * Decodes the data URIs of embedded images back into their bytes
+ *
+ * @param {SnapshotEntry[]} entries - The entries, with chunks joined
+ * @returns {SnapshotEntry[]} - The entries, with image content as buffers
+ * @throws {Error} If an image is not a base64 data URI
+ */
+function decodeImages(entries) {
+    return entries.map(entry => {
+        if (!entry.image) return entry;
+        const decoded = parseDataUri(entry.content);
+        if (!decoded) {
+            throw new Error(`Invalid snapshot: image ${entry.path} is not a base64 data URI`);
+        }
+        return { ...entry, content: decoded.data };
+    });
+}
+
+/**
+ * Strips the line numbers from the content of files serialized with line numbers
+ *
+ * @param {SnapshotEntry[]} entries - The entries, with chunks joined
+ * @returns {SnapshotEntry[]} - The entries, with the original lines as content
+ */
+function removeLineNumbers(entries) {
+    return entries.map(({ lineNumbers, ...entry }) => lineNumbers ? { ...entry, content: stripLineNumbers(entry.content) } : entry);
+}
+
+/**
+ * Reads the entries of a snapshot, or of all parts of a split snapshot when given its index file
+ *
+ * @param {string} contentFile - The snapshot or index file
+ * @returns {SnapshotEntry[]} - One entry per file
+ */
+function readSnapshot(contentFile) {
+    if (!contentFile.endsWith(INDEX_SUFFIX)) {
+        return decodeImages(removeLineNumbers(joinChunks(parseContentFile(fs.readFileSync(contentFile, 'utf-8')))));
+    }
+
+    // Part names in the index are relative to the directory of the index file, and must not point anywhere else
+    const { parts } = JSON.parse(fs.readFileSync(contentFile, 'utf-8'));
+    for (const part of parts) {
+        if (typeof part !== 'string' || ['', '.', '..'].includes(part) || path.win32.basename(part) !== part) {
+            throw new Error(`Invalid snapshot index: part ${JSON.stringify(part)} is not a file name`);
+        }
+    }
+    return decodeImages(removeLineNumbers(joinChunks(parts.flatMap(part => parseContentFile(fs.readFileSync(path.join(path.dirname(contentFile), part), 'utf-8'))))));
+}
+
+/**
+ * Resolves a snapshot path inside the target directory, rejecting anything that would escape it,
+ * either by its name or through a symbolic link already in the target directory, which writing would follow
+ *
+ * @param {string} outputDir - The target directory
+ * @param {string} relativePath - The relative path recorded in the snapshot
+ * @returns {string} - The absolute path to write to
+ * @throws {Error} If the path is absolute, resolves outside the target directory, or passes through a symbolic link
+ */
+function resolveRestorePath(outputDir, relativePath) {
+    const root = path.resolve(outputDir);
+    const target = path.resolve(root, relativePath);
+    // A root such as / or C:\ already ends with a separator, so compare the relative path rather than prefixes
+    const inside = path.relative(root, target);
+
+    if (relativePath === '' || relativePath.includes('\0') || path.isAbsolute(relativePath) || /^[a-zA-Z]:/.test(relativePath) ||
+        inside === '' || inside.split(path.sep)[0] === '..' || path.isAbsolute(inside)) {
+        throw new Error(`Refusing to restore path outside target directory: ${relativePath}`);
+    }
+
+    // The target directory itself may be a link, but nothing below it
+    let current = root;
+    for (const name of inside.split(path.sep)) {
+        current = path.join(current, name);
+        const stats = fs.lstatSync(current, { throwIfNoEntry: false });
+        if (!stats) break;
+        if (stats.isSymbolicLink()) {
+            throw new Error(`Refusing to restore path through symbolic link: ${relativePath}`);
+        }
+    }
+
+    return target;
+}
+
+/**
+ * Recreates the files of a content snapshot in a target directory.
+ * Binary files, of which the snapshot only holds placeholders, files serialized as diffs and truncated files are left out.
+ * All paths are validated before anything is written.
+ *
+ * @param {DeserializeOptions} options - Configuration options.
+ * @returns {string[]} - The relative paths that were restored (or would be, for a dry run).
+ */
+function deserializeRepo(options) {
+    const {
+        contentFile = path.join(process.cwd(), 'repo_content.txt'),
+        outputDir = process.cwd(),
+        force = false,
+        dryRun = false,
+        isCliCall = false,
+        verbose = false
+    } = options;
+
+    const entries = readSnapshot(contentFile).filter(entry => {
+        if (entry.binary && verbose) {
+            console.log(`Skipping binary file placeholder: ${entry.path}`);
+        }
+        // Restoring a diff would replace the file with the diff
+        if (entry.diff) {
+            console.log(`Skipping file serialized as a diff: ${entry.path}`);
+        }
+        // Restoring a truncated file would replace it with a stub
+        if (entry.truncatedFrom !== undefined) {
+            console.log(`Skipping truncated file: ${entry.path} (${entry.truncatedFrom} bytes)`);
+        }
+        return !entry.binary && !entry.diff && entry.truncatedFrom === undefined;
+    });
+    const targets = entries.map(entry => ({ ...entry, target: resolveRestorePath(outputDir, entry.path) }));
+
+    if (dryRun) {
+        for (const { path: relativePath, content, target } of targets) {
+            console.log(`Would restore: ${relativePath} (${Buffer.byteLength(content)} bytes)${fs.existsSync(target) ? ' [overwrite]' : ''}`);
+        }
+        return targets.map(entry => entry.path);
+    }
+
+    if (!force && targets.some(entry => fs.existsSync(entry.target))) {
+        if (isCliCall) {
+            throw new Error('PROMPT_REQUIRED');
+        }
+        throw new Error('Files already exist in target directory. Set force=true to overwrite.');
+    }
+
+    for (const { path: relativePath, content, target } of targets) {
+        if (verbose) {
+            console.log(`Restoring: ${relativePath}`);
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    }
+
+    console.log(`Restored ${targets.length} files to: ${path.resolve(outputDir)}`);
+    return targets.map(entry => entry.path);
+}
+
+module.exports = {
+    deserializeRepo,
+    parseContentFile
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { listRevisionFiles, readBlob } = require('./git');
+
+/**
+ * Where the walk reads directory listings and file contents from.
+ * Every method takes absolute paths inside the repository root.
+ * Sources that never list symbolic links can leave out lstat, stat, readlink and realpath.
+ * @typedef {Object} Source
+ * @property {function(string): fs.Dirent[]} readdir - Lists the entries of a directory (fs.Dirent-like: a name and the is* type methods)
+ * @property {function(string): boolean} exists - Whether a file exists
+ * @property {function(string): number} size - The size of a file in bytes
+ * @property {function(string, number=, number=): Buffer} read - Reads a file, or only length bytes from position (default: the start) when a length is given
+ * @property {function(string): Date} [mtime] - The last-modified time of a file, for sources that have one
+ * @property {function(string): fs.Stats} [lstat] - The type of a file, without following symbolic links (fs.Stats-like)
+ * @property {function(string): (fs.Stats|null)} [stat] - The type of what a symbolic link points to, or null if it points nowhere
+ * @property {function(string): string} [readlink] - The target of a symbolic link, as stored in the link
+ * @property {function(string): string} [realpath] - The path with all symbolic links resolved
+ */
+
+/**
+ * Creates a directory entry from the type of a file
+ * @param {string} name - The name of the entry
+ * @param {function(): fs.Stats} getStats - Returns the type of the file (fs.Stats-like) when it is first needed
+ * @returns {fs.Dirent} - The entry (fs.Dirent-like)
+ */
+function toEntry(name, getStats) {
+    return {
+        name,
+        isDirectory: () => getStats().isDirectory(),
+        isFile: () => getStats().isFile(),
+        isSymbolicLink: () => getStats().isSymbolicLink(),
+        isFIFO: () => getStats().isFIFO(),
+        isSocket: () => getStats().isSocket(),
+        isBlockDevice: () => getStats().isBlockDevice(),
+        isCharacterDevice: () => getStats().isCharacterDevice(),
+    };
+}
+
+/**
+ * Creates the type of a plain directory or regular file, for sources without special files
+ * @param {boolean} isDirectory - Whether the type is a directory
+ * @returns {fs.Stats} - The type (fs.Stats-like)
+ */
+function plainStats(isDirectory) {
+    return {
+        isDirectory: () => isDirectory,
+        isFile: () => !isDirectory,
+        isSymbolicLink: () => false,
+        isFIFO: () => false,
+        isSocket: () => false,
+        isBlockDevice: () => false,
+        isCharacterDevice: () => false,
+    };
+}
+
+/** @constant {Source} FILE_SYSTEM_SOURCE - Source that reads the file system */
+const FILE_SYSTEM_SOURCE = {
+    readdir: dir => fs.readdirSync(dir, { withFileTypes: true }),
+    exists: filePath => fs.existsSync(filePath),
+    size: filePath => fs.statSync(filePath).size,
+    mtime: filePath => fs.statSync(filePath).mtime,
+    lstat: filePath => fs.lstatSync(filePath),
+    stat(filePath) {
+        try {
+            return fs.statSync(filePath);
+        } catch (error) {
+            // Missing targets and links that point to themselves
+            return null;
+        }
+    },
+    readlink: filePath => fs.readlinkSync(filePath),
+    realpath: filePath => fs.realpathSync(filePath),
+    read(filePath, length, position = 0) {
+        if (length === undefined) {
+            return fs.readFileSync(filePath);
+        }
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(length, fs.fstatSync(fd).size - position)));
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
+        }
+    },
+};
+
+/**
+ * Converts an absolute path inside the repository root to a forward-slash relative path
+ * @param {string} repoRoot - The root directory of the repository
+ * @param {string} fullPath - The absolute path
+ * @returns {string} - The relative path ('' for the root itself)
+ */
+function toRelative(repoRoot, fullPath) {
+    return path.relative(repoRoot, fullPath).replace(/\\/g, '/');
+}
+
+/**
+ * Creates a source whose directory listings come from a fixed list of file paths instead of the file system.
+ * File contents, and the types of listed files when the base source has lstat, are still read through the base source.
+ *
+ * @param {string} repoRoot - The root directory the paths are relative to
+ * @param {string[]} paths - File paths relative to repoRoot, using forward slashes
+ * @param {Source} [base] - The source to read file contents from
+ * @returns {Source} - The source
+ */
+function createFileListSource(repoRoot, paths, base = FILE_SYSTEM_SOURCE) {
+    // Map of directory path ('' for the root) to the entries directly inside it
+    const directories = new Map([['', new Map()]]);
+
+    for (const relativePath of paths) {
+        const parts = relativePath.split('/');
+        let dir = '';
+        parts.forEach((name, index) => {
+            const isDirectory = index < parts.length - 1;
+            directories.get(dir).set(name, isDirectory);
+            dir = dir === '' ? name : `${dir}/${name}`;
+            if (isDirectory && !directories.has(dir)) {
+                directories.set(dir, new Map());
+            }
+        });
+    }
+
+    return {
+        ...base,
+        readdir(dir) {
+            const entries = directories.get(toRelative(repoRoot, dir)) || new Map();
+            return [...entries].map(([name, isDirectory]) => {
+                if (isDirectory || !base.lstat) {
+                    return toEntry(name, () => plainStats(isDirectory));
+                }
+                // Listed files may still be symbolic links on disk, so look their type up when it is asked for
+                let stats = null;
+                const entry = toEntry(name, () => stats || (stats = base.lstat(path.join(dir, name))));
+                return { ...entry, isDirectory: () => false };
+            });
+        },
+    };
+}
+
+/**
+ * Creates a source that reads the tree of a git revision through git objects, without touching the working tree
+ *
+ * @param {string} repoRoot - The directory to serialize, anywhere inside a git work tree
+ * @param {string} rev - The commit-ish whose tree to read
+ * @returns {Source} - The source
+ */
+function createRevisionSource(repoRoot, rev) {
+    const blobs = new Map(listRevisionFiles(repoRoot, rev).map(blob => [blob.path, blob]));
+    // The walk sniffs a file before reading it in full, so keep the most recent blob around
+    let cached = { object: null, content: null };
+
+    const blobAt = filePath => {
+        const blob = blobs.get(toRelative(repoRoot, filePath));
+        if (!blob) {
+            throw new Error(`ENOENT: no such file in ${rev}: ${toRelative(repoRoot, filePath)}`);
+        }
+        return blob;
+    };
+
+    const source = {
+        // Blobs have no modification time, so there is no mtime
+        exists: filePath => blobs.has(toRelative(repoRoot, filePath)),
+        size: filePath => blobAt(filePath).size,
+        read(filePath, length, position = 0) {
+            const { object } = blobAt(filePath);
+            if (cached.object !== object) {
+                cached = { object, content: readBlob(repoRoot, object) };
+            }
+            return length === undefined ? cached.content : cached.content.subarray(position, position + length);
+        },
+    };
+    // Symbolic links are not listed, so the listed files need no types from the working tree
+    source.readdir = createFileListSource(repoRoot, [...blobs.keys()], source).readdir;
+    return source;
+}
+
+module.exports = {
+    createFileListSource,
+    createRevisionSource,
+    FILE_SYSTEM_SOURCE
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+/** @constant {string} INDEX_SUFFIX - Suffix of the index file written next to the parts of a split content file */
+const INDEX_SUFFIX = '.index.json';
+
+/**
+ * Builds the name of one part of a split content file: repo_content.txt becomes repo_content.part1.txt
+ * @param {string} contentFile - The name of the content file
+ * @param {number} number - The 1-based part number
+ * @returns {string} - The name of the part
+ */
+function partFileName(contentFile, number) {
+    const { dir, name, ext } = path.parse(contentFile);
+    return path.join(dir, `${name}.part${number}${ext}`);
+}
+
+/**
+ * Builds the name of the index file of a split content file: repo_content.txt becomes repo_content.index.json
+ * @param {string} contentFile - The name of the content file
+ * @returns {string} - The name of the index file
+ */
+function indexFileName(contentFile) {
+    const { dir, name } = path.parse(contentFile);
+    return path.join(dir, `${name}${INDEX_SUFFIX}`);
+}
+
+/**
+ * Lists the parts of a split content file that already exist, such as those written by an earlier run
+ * @param {string} contentPath - The path of the content file
+ * @returns {string[]} - The paths of the existing parts
+ */
+function findPartFiles(contentPath) {
+    const { dir, name, ext } = path.parse(contentPath);
+    if (!fs.existsSync(dir)) return [];
+
+    const prefix = `${name}.part`;
+    return fs.readdirSync(dir)
+        .filter(entry => entry.startsWith(prefix) && entry.endsWith(ext) && /^\d+$/.test(entry.slice(prefix.length, entry.length - ext.length)))
+        .map(entry => path.join(dir, entry));
+}
+
+/**
+ * A part of a split content file
+ * @typedef {Object} Part
+ * @property {import('./formats').FileRecord[]} files - The files in the part, or chunks of them
+ * @property {string} content - The rendered part
+ */
+
+/**
+ * Cuts the first chunk off a file that does not fit in a part of its own.
+ * The chunk is as long as a part allows, and ends after a line break when there is one in its second half.
+ * The line and token counts of the file stay on its first chunk only, as they are those of the whole file.
+ *
+ * @param {import('./formats').FileRecord} file - The file, or the rest of a file that was cut before
+ * @param {number} size - The maximum size of a part in bytes
+ * @param {function(import('./formats').FileRecord[]): number} measure - The size of a part holding the given files
+ * @returns {{chunk: import('./formats').FileRecord, rest: import('./formats').FileRecord}} - The chunk and the rest of the file
+ * @throws {Error} If not even one character of the file fits in a part
+ */
+function cutChunk(file, size, measure) {
+    const index = file.chunk ? file.chunk.index : 1;
+    const chunkOf = length => ({ ...file, content: file.content.slice(0, length), chunk: { index, last: false } });
+
+    // Find the longest prefix that fits
+    let low = 0;
+    let high = file.content.length;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (measure([chunkOf(middle)]) <= size) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    let length = low;
+    const lineEnd = file.content.lastIndexOf('\n', length - 1);
+    if (lineEnd >= length / 2) {
+        length = lineEnd + 1;
+    } else if (length > 0 && /[\uD800-\uDBFF]/.test(file.content[length - 1])) {
+        // Keep surrogate pairs together
+        length--;
+    }
+    if (length === 0) {
+        throw new Error(`Split size of ${size} bytes is too small to hold any content of ${file.path}`);
+    }
+
+    const { lines, tokens, ...uncounted } = file;
+    return {
+        chunk: chunkOf(length),
+        rest: { ...uncounted, content: file.content.slice(length), chunk: { index: index + 1, last: true } },
+    };
+}
+
+/**
+ * Splits files into parts whose rendered size stays within a limit.
+ * Parts are split on file boundaries; a file that does not fit in a part of its own is cut into chunks,
+ * each filling a part, with its last chunk sharing a part with the files after it.
+ * The size of each file is measured once, rendered alone in a part after the first, which has no structure tree
+ * or other preamble, and each part is rendered whole only to check that it fits.
+ *
+ * @param {import('./formats').FileRecord[]} files - The files, in content order
+ * @param {number} size - The maximum size of a part in bytes
+ * @param {function(import('./formats').FileRecord[], number): string} render - Renders the files of a part, given its 1-based number
+ * @returns {Part[]} - The parts (at least one)
+ * @throws {Error} If the size is too small to hold any file content
+ */
+function splitIntoParts(files, size, render) {
+    const parts = [];
+    const queue = [...files];
+    const measure = (partFiles, number) => Buffer.byteLength(render(partFiles, number));
+    const emptyPart = measure([], 2);
+    const costs = new Map();
+    const costOf = file => {
+        if (!costs.has(file)) costs.set(file, measure([file], 2) - emptyPart);
+        return costs.get(file);
+    };
+
+    while (queue.length > 0) {
+        const number = parts.length + 1;
+        const part = [];
+        let used = measure([], number);
+
+        while (queue.length > 0 && used + costOf(queue[0]) <= size) {
+            used += costOf(queue[0]);
+            part.push(queue.shift());
+        }
+
+        // Per-file costs leave out what the format puts between files, so give back files until the part really fits
+        let content = render(part, number);
+        while (part.length > 1 && Buffer.byteLength(content) > size) {
+            queue.unshift(part.pop());
+            content = render(part, number);
+        }
+
+        if (part.length > 0 && Buffer.byteLength(content) <= size) {
+            parts.push({ files: part, content });
+        } else {
+            const { chunk, rest } = cutChunk(part.length > 0 ? part[0] : queue.shift(), size, partFiles => measure(partFiles, number));
+            parts.push({ files: [chunk], content: render([chunk], number) });
+            queue.unshift(rest);
+        }
+    }
+
+    return parts.length > 0 ? parts : [{ files: [], content: render([], 1) }];
+}
+
+/**
+ * Builds the index of a split content file, mapping each file to the parts it is in
+ * @param {Part[]} parts - The parts
+ * @param {string[]} partFiles - The file name of each part
+ * @returns {{parts: string[], files: Object<string, string[]>}} - The index
+ */
+function buildIndex(parts, partFiles) {
+    const files = {};
+    parts.forEach((part, index) => {
+        for (const file of part.files) {
+            (files[file.path] = files[file.path] || []).push(partFiles[index]);
+        }
+    });
+    return { parts: partFiles, files };
+}
+
+module.exports = {
+    buildIndex,
+    findPartFiles,
+    indexFileName,
+    partFileName,
+    splitIntoParts,
+    INDEX_SUFFIX
+};
@@ -0,0 +1,83 @@
+/**
+ * Counts the tokens in a piece of text
+ * @typedef {Object} Tokenizer
+ * @property {string} name - The name shown next to token counts
+ * @property {function(string): number} count - Returns the number of tokens in the text
+ */
+
+/** @constant {Tokenizer} ESTIMATE_TOKENIZER - Cheap estimate of one token per four characters, used when no tokenizer is installed */
+const ESTIMATE_TOKENIZER = {
+    name: 'chars/4',
+    count: text => Math.ceil(text.length / 4),
+};
+
+/** @constant {string} DEFAULT_TOKENIZER_MODULE - Optional package used for token counts when it is installed */
+const DEFAULT_TOKENIZER_MODULE = 'gpt-tokenizer';
+
+/**
+ * Wraps a loaded tokenizer module, which either is a counting function or exports countTokens or encode
+ *
+ * @param {string} name - The name of the module
+ * @param {Function|Object} tokenizerModule - The module exports
+ * @returns {Tokenizer|null} - The tokenizer, or null if the module exports none of these
+ */
+function fromModule(name, tokenizerModule) {
+    if (typeof tokenizerModule === 'function') {
+        return { name, count: text => tokenizerModule(text) };
+    }
+    if (tokenizerModule && typeof tokenizerModule.countTokens === 'function') {
+        return { name, count: text => tokenizerModule.countTokens(text) };
+    }
+    if (tokenizerModule && typeof tokenizerModule.encode === 'function') {
+        return { name, count: text => tokenizerModule.encode(text).length };
+    }
+    return null;
+}
+
+/**
+ * Resolves the tokenizer option into a tokenizer:
+ * - 'auto' (or nothing): gpt-tokenizer if it is installed, otherwise the chars/4 estimate
+ * - 'chars': the chars/4 estimate
+ * - a function or an object with a count method: used as is
+ * - any other string: a module name or path, resolved from the current working directory
+ *
+ * @param {string|Function|Tokenizer} [tokenizer] - The tokenizer option
+ * @returns {Tokenizer} - The tokenizer
+ * @throws {Error} If a named tokenizer module cannot be loaded or does not count tokens
+ */
+function resolveTokenizer(tokenizer = 'auto') {
+    if (typeof tokenizer === 'function') {
+        return { name: tokenizer.name || 'custom', count: tokenizer };
+    }
+    if (tokenizer && typeof tokenizer.count === 'function') {
+        return { name: tokenizer.name || 'custom', ...tokenizer };
+    }
+    if (tokenizer === 'chars') {
+        return ESTIMATE_TOKENIZER;
+    }
+    if (tokenizer === 'auto') {
+        try {
+            return fromModule(DEFAULT_TOKENIZER_MODULE, require(DEFAULT_TOKENIZER_MODULE)) || ESTIMATE_TOKENIZER;
+        } catch (error) {
+            return ESTIMATE_TOKENIZER;
+        }
+    }
+
+    let tokenizerModule;
+    try {
+        tokenizerModule = require(require.resolve(tokenizer, { paths: [process.cwd()] }));
+    } catch (error) {
+        throw new Error(`Cannot load tokenizer: ${tokenizer}`);
+    }
+    const loaded = fromModule(tokenizer, tokenizerModule);
+    if (!loaded) {
+        throw new Error(`Tokenizer ${tokenizer} must export a function, countTokens or encode`);
+    }
+    return loaded;
+}
+
+module.exports = {
+    resolveTokenizer,
+    DEFAULT_TOKENIZER_MODULE,
+    ESTIMATE_TOKENIZER
+};
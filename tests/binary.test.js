@@ -0,0 +1,339 @@
+/**
+ * Tests for binary file placeholders and embedded images
+ * These tests verify type detection from magic bytes, reading image dimensions from
+ * hand-built headers, and the placeholders and embedded images serializeRepo writes for binary files and images.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const crypto = require('crypto');
+const { serializeRepo, deserializeRepo, OUTPUT_FORMATS } = require('../src/index');
+const { detectBinaryType, detectImageType, explainBinaryContent, parseDataUri, readImageDimensions, renderBinaryPlaceholder, toDataUri } = require('../src/binary');
+
+/**
+ * Builds a minimal PNG header
+ * @param {number} width - The image width
+ * @param {number} height - The image height
+ * @returns {Buffer} - The header
+ */
+function pngHeader(width, height) {
+    const header = Buffer.alloc(33);
+    Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(header);
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return header;
+}
+
+/**
+ * Builds a minimal JPEG header with an APP0 segment before the frame header
+ * @param {number} width - The image width
+ * @param {number} height - The image height
+ * @returns {Buffer} - The header
+ */
+function jpegHeader(width, height) {
+    const frame = Buffer.from('ffc0001108000000000301220002110103110100', 'hex');
+    frame.writeUInt16BE(height, 5);
+    frame.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from('ffd8ffe000104a46494600010100000100010000', 'hex'), frame]);
+}
+
+/**
+ * Builds a minimal WebP header with a VP8X chunk
+ * @param {number} width - The image width
+ * @param {number} height - The image height
+ * @returns {Buffer} - The header
+ */
+function webpHeader(width, height) {
+    const header = Buffer.alloc(30);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(22, 4);
+    header.write('WEBPVP8X', 8, 'latin1');
+    header.writeUInt32LE(10, 16);
+    header.writeUIntLE(width - 1, 24, 3);
+    header.writeUIntLE(height - 1, 27, 3);
+    return header;
+}
+
+describe('binary', () => {
+    let tmpDir;
+    let outputDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+        outputDir.removeCallback();
+    });
+
+    /**
+     * Serializes the repository and returns the content file
+     * @param {Object} [options] - Additional serializeRepo options
+     * @returns {string} - The content file
+     */
+    function serializeContent(options = {}) {
+        serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, force: true, ...options });
+        const { extension } = OUTPUT_FORMATS[options.format || 'text'];
+        return fs.readFileSync(path.join(outputDir.name, `repo_content${extension}`), 'utf-8');
+    }
+
+    describe('detectBinaryType', () => {
+        test('detects types from their magic bytes', () => {
+            expect(detectBinaryType(pngHeader(1, 1))).toEqual({ type: 'PNG image', mime: 'image/png' });
+            expect(detectBinaryType(jpegHeader(1, 1))).toEqual({ type: 'JPEG image', mime: 'image/jpeg' });
+            expect(detectBinaryType(webpHeader(1, 1))).toEqual({ type: 'WebP image', mime: 'image/webp' });
+            expect(detectBinaryType(Buffer.from('%PDF-1.7\n'))).toEqual({ type: 'PDF document', mime: 'application/pdf' });
+            expect(detectBinaryType(Buffer.from('504b03041400', 'hex'))).toEqual({ type: 'ZIP archive', mime: 'application/zip' });
+            expect(detectBinaryType(Buffer.from('7f454c4602010100', 'hex'))).toEqual({ type: 'ELF executable', mime: 'application/x-elf' });
+        });
+
+        test('detects signatures away from the start of the file', () => {
+            const tar = Buffer.alloc(512);
+            tar.write('ustar', 257, 'latin1');
+            const mp4 = Buffer.from('0000001866747970697336', 'hex');
+
+            expect(detectBinaryType(tar).type).toBe('tar archive');
+            expect(detectBinaryType(mp4).type).toBe('MP4 media');
+        });
+
+        test('reports unknown types and headers too short to match', () => {
+            expect(detectBinaryType(Buffer.from([0x00, 0x01, 0x02, 0x03]))).toEqual({ type: 'unknown', mime: 'application/octet-stream' });
+            expect(detectBinaryType(Buffer.from('89504e47', 'hex')).type).toBe('unknown');
+            expect(detectBinaryType(Buffer.alloc(0)).type).toBe('unknown');
+        });
+    });
+
+    describe('explainBinaryContent', () => {
+        test('tells binary content by its signature, NUL bytes or control bytes', () => {
+            const noise = Buffer.from(Array.from({ length: 4096 }, (_, index) => (index * 167 + 13) % 255 + 1));
+
+            expect(explainBinaryContent(pngHeader(1, 1))).toBe('PNG image signature');
+            expect(explainBinaryContent(Buffer.from('text\0more text'))).toBe('contains NUL bytes');
+            expect(explainBinaryContent(noise)).toBe('too many control bytes');
+        });
+
+        test('leaves text that could not be decoded to the caller', () => {
+            expect(explainBinaryContent(Buffer.from('caf\xe9 au lait\tand cr\xe8me br\xfbl\xe9e, \x1b[1mboth\x1b[0m\r\n', 'latin1'))).toBeNull();
+            expect(explainBinaryContent(Buffer.alloc(0))).toBeNull();
+        });
+    });
+
+    describe('readImageDimensions', () => {
+        test('reads dimensions from image headers', () => {
+            const gif = Buffer.from('474946383961', 'hex');
+            const bmp = Buffer.alloc(26);
+            bmp.write('BM', 0, 'latin1');
+            bmp.writeUInt32LE(40, 14);
+            bmp.writeInt32LE(640, 18);
+            bmp.writeInt32LE(-480, 22);
+
+            expect(readImageDimensions(pngHeader(800, 600), 'image/png')).toEqual({ width: 800, height: 600 });
+            expect(readImageDimensions(jpegHeader(1920, 1080), 'image/jpeg')).toEqual({ width: 1920, height: 1080 });
+            expect(readImageDimensions(Buffer.concat([gif, Buffer.from([16, 0, 32, 0])]), 'image/gif')).toEqual({ width: 16, height: 32 });
+            expect(readImageDimensions(bmp, 'image/bmp')).toEqual({ width: 640, height: 480 });
+            expect(readImageDimensions(webpHeader(4000, 3000), 'image/webp')).toEqual({ width: 4000, height: 3000 });
+        });
+
+        test('returns null when the dimensions cannot be read cheaply', () => {
+            // The frame header lies beyond the bytes read
+            const jpeg = jpegHeader(100, 100).subarray(0, 24);
+
+            expect(readImageDimensions(jpeg, 'image/jpeg')).toBeNull();
+            expect(readImageDimensions(pngHeader(1, 1).subarray(0, 20), 'image/png')).toBeNull();
+            expect(readImageDimensions(Buffer.from('%PDF-1.7\n'), 'application/pdf')).toBeNull();
+        });
+    });
+
+    describe('renderBinaryPlaceholder', () => {
+        test('lists the type, size, dimensions and hash', () => {
+            const binary = { type: 'PNG image', mime: 'image/png', sha256: 'abc', width: 2, height: 3 };
+
+            expect(renderBinaryPlaceholder(binary, 42)).toBe([
+                '[binary file not included]',
+                'Type: PNG image (image/png)',
+                'Size: 42 bytes',
+                'Dimensions: 2x3',
+                'SHA-256: abc'
+            ].join('\n'));
+            expect(renderBinaryPlaceholder({ type: 'unknown', mime: 'application/octet-stream', sha256: 'abc' }, 4))
+                .not.toContain('Dimensions');
+        });
+    });
+
+    describe('data URIs', () => {
+        test('detects embeddable images, including SVG images by extension and root element', () => {
+            expect(detectImageType(pngHeader(1, 1), 'logo.png')).toBe('image/png');
+            expect(detectImageType(webpHeader(1, 1), 'photo')).toBe('image/webp');
+            expect(detectImageType(Buffer.from('<?xml version="1.0"?>\n<svg width="10">'), 'icons/Logo.SVG')).toBe('image/svg+xml');
+            expect(detectImageType(Buffer.from('<svg>'), 'template.html')).toBeNull();
+            expect(detectImageType(Buffer.from('not an image'), 'broken.svg')).toBeNull();
+            expect(detectImageType(Buffer.from('%PDF-1.7\n'), 'doc.pdf')).toBeNull();
+        });
+
+        test('round-trips content through a data URI', () => {
+            const uri = toDataUri('image/png', pngHeader(2, 2));
+
+            expect(uri).toMatch(/^data:image\/png;base64,iVBORw0KGgo/);
+            expect(parseDataUri(uri)).toEqual({ mime: 'image/png', data: pngHeader(2, 2) });
+            expect(parseDataUri('data:text/plain,hello')).toBeNull();
+            expect(parseDataUri('hello')).toBeNull();
+        });
+    });
+
+    describe('serializeRepo', () => {
+        /**
+         * Tests the binaryPlaceholders option:
+         * - Binary files stay out of the content file unless it is set
+         * - Placeholders appear in every format and carry the metadata in JSON
+         * - Restoring a snapshot skips the placeholders
+         */
+
+        beforeEach(() => {
+            fs.mkdirSync(path.join(tmpDir.name, 'assets'));
+            fs.writeFileSync(path.join(tmpDir.name, 'assets', 'logo.png'), pngHeader(64, 32));
+            fs.writeFileSync(path.join(tmpDir.name, 'data.bin'), Buffer.from([0x00, 0x01, 0x02, 0x03]));
+            fs.writeFileSync(path.join(tmpDir.name, 'index.js'), 'module.exports = {};\n');
+        });
+
+        test('leaves binary files out of the content file by default', () => {
+            const content = serializeContent();
+
+            expect(content).not.toContain('logo.png');
+            expect(console.log).toHaveBeenCalledWith('Skipping non-text file from content file: assets/logo.png');
+        });
+
+        test('writes a placeholder block for each binary file', () => {
+            const sha256 = crypto.createHash('sha256').update(pngHeader(64, 32)).digest('hex');
+
+            const content = serializeContent({ binaryPlaceholders: true });
+
+            expect(content).toContain([
+                'START OF BINARY FILE: assets/logo.png',
+                '-'.repeat(60),
+                '[binary file not included]',
+                'Type: PNG image (image/png)',
+                'Size: 33 bytes',
+                'Dimensions: 64x32',
+                `SHA-256: ${sha256}`,
+                '-'.repeat(60),
+                'END OF BINARY FILE: assets/logo.png'
+            ].join('\n'));
+            expect(content).toContain('START OF BINARY FILE: data.bin');
+            expect(content).toContain('START OF FILE: index.js');
+        });
+
+        test('records the metadata in the json format', () => {
+            const { files } = JSON.parse(serializeContent({ format: 'json', binaryPlaceholders: true }));
+
+            const logo = files.find(file => file.path === 'assets/logo.png');
+            expect(logo).toMatchObject({ size: 33, binary: { type: 'PNG image', mime: 'image/png', width: 64, height: 32 } });
+            expect(logo.binary.sha256).toMatch(/^[0-9a-f]{64}$/);
+            expect(logo).not.toHaveProperty('encoding');
+            expect(files.find(file => file.path === 'data.bin').binary).not.toHaveProperty('width');
+        });
+
+        test('marks placeholders in the markdown and xml formats', () => {
+            expect(serializeContent({ format: 'markdown', binaryPlaceholders: true }))
+                .toContain('## assets/logo.png (binary)\n\n```text\n[binary file not included]');
+            expect(serializeContent({ format: 'xml', binaryPlaceholders: true }))
+                .toMatch(/<document index="\d+" binary="true">\n<source>assets\/logo\.png<\/source>/);
+        });
+
+        test('skips placeholders when restoring a snapshot', () => {
+            serializeContent({ binaryPlaceholders: true });
+            const restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+            const restored = deserializeRepo({
+                contentFile: path.join(outputDir.name, 'repo_content.txt'),
+                outputDir: restoreDir.name,
+                verbose: true
+            });
+
+            expect(restored).toEqual(['index.js']);
+            expect(console.log).toHaveBeenCalledWith('Skipping binary file placeholder: assets/logo.png');
+            restoreDir.removeCallback();
+        });
+    });
+
+    describe('embedded images', () => {
+        /**
+         * Tests the embedImages option:
+         * - Images become data URIs in the text formats and attachments in the json format
+         * - Images over the size limit are handled like other files
+         * - Restoring a snapshot decodes the images
+         */
+
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"></svg>\n';
+
+        beforeEach(() => {
+            fs.mkdirSync(path.join(tmpDir.name, 'assets'));
+            fs.writeFileSync(path.join(tmpDir.name, 'assets', 'logo.png'), pngHeader(64, 32));
+            fs.writeFileSync(path.join(tmpDir.name, 'assets', 'icon.svg'), svg);
+            fs.writeFileSync(path.join(tmpDir.name, 'index.js'), 'module.exports = {};\n');
+        });
+
+        test('embeds images as data URIs', () => {
+            const content = serializeContent({ embedImages: true });
+
+            expect(content).toContain([
+                'START OF IMAGE FILE: assets/logo.png',
+                '-'.repeat(60),
+                toDataUri('image/png', pngHeader(64, 32)),
+                '-'.repeat(60),
+                'END OF IMAGE FILE: assets/logo.png'
+            ].join('\n'));
+            expect(content).toContain(`START OF IMAGE FILE: assets/icon.svg\n${'-'.repeat(60)}\ndata:image/svg+xml;base64,`);
+            expect(serializeContent()).toContain(svg);
+        });
+
+        test('lists images as attachments in the json format', () => {
+            const { files, attachments } = JSON.parse(serializeContent({ format: 'json', embedImages: true }));
+
+            expect(files.map(file => file.path)).toEqual(['index.js']);
+            expect(attachments).toEqual([
+                expect.objectContaining({ path: 'assets/icon.svg', mime: 'image/svg+xml', data: Buffer.from(svg).toString('base64') }),
+                expect.objectContaining({ path: 'assets/logo.png', size: 33, mime: 'image/png', width: 64, height: 32, data: pngHeader(64, 32).toString('base64') })
+            ]);
+            expect(JSON.parse(serializeContent({ format: 'json' }))).not.toHaveProperty('attachments');
+        });
+
+        test('renders images in the markdown and xml formats', () => {
+            const uri = toDataUri('image/png', pngHeader(64, 32));
+
+            expect(serializeContent({ format: 'markdown', embedImages: true }))
+                .toContain(`## assets/logo.png (image)\n\n![assets/logo.png](${uri})\n`);
+            expect(serializeContent({ format: 'xml', embedImages: true }))
+                .toContain(`<document index="2" media_type="image/png">\n<source>assets/logo.png</source>\n<document_content>\n${uri}\n`);
+        });
+
+        test('handles images over the size limit like other files', () => {
+            const content = serializeContent({ embedImages: true, maxImageSize: 40, binaryPlaceholders: true });
+
+            expect(content).toContain('START OF IMAGE FILE: assets/logo.png');
+            expect(content).toContain(`START OF FILE: assets/icon.svg\n${'-'.repeat(60)}\n${svg}`);
+            expect(console.log).toHaveBeenCalledWith(`Not embedding image larger than 40B: assets/icon.svg (${svg.length} bytes)`);
+            expect(() => serializeContent({ embedImages: true, maxImageSize: 0 })).toThrow('Max image size must be greater than 0');
+        });
+
+        test('restores embedded images from a snapshot', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, embedImages: true, split: 1024 });
+            const restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+            const restored = deserializeRepo({
+                contentFile: path.join(outputDir.name, 'repo_content.index.json'),
+                outputDir: restoreDir.name
+            });
+
+            expect(restored.sort()).toEqual(['assets/icon.svg', 'assets/logo.png', 'index.js']);
+            expect(fs.readFileSync(path.join(restoreDir.name, 'assets', 'logo.png'))).toEqual(pngHeader(64, 32));
+            expect(fs.readFileSync(path.join(restoreDir.name, 'assets', 'icon.svg'), 'utf-8')).toBe(svg);
+            restoreDir.removeCallback();
+        });
+    });
+});
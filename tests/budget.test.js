@@ -0,0 +1,111 @@
+/**
+ * Tests for budget-aware packing
+ * These tests verify the priority order files are packed in and how files are
+ * selected to fit a budget, independently of any output format.
+ */
+
+const { packFiles, rankFiles } = require('../src/budget');
+
+/**
+ * Builds minimal file records whose cost is their content length
+ * @param {Object<string, number>} sizes - Content lengths keyed by path
+ * @returns {Object[]} - The file records, in the given order
+ */
+function records(sizes) {
+    return Object.entries(sizes).map(([path, size]) => ({ path, content: 'x'.repeat(size) }));
+}
+
+const cost = file => file.content.length;
+const paths = files => files.map(file => file.path);
+
+describe('rankFiles', () => {
+    test('ranks READMEs and manifests, then other files, then tests', () => {
+        const files = records({
+            'src/app.test.js': 1,
+            'tests/helpers.js': 1,
+            'src/app.js': 50,
+            'src/util.js': 10,
+            'package.json': 30,
+            'docs/README.md': 40,
+            'README.md': 20,
+        });
+
+        expect(paths(rankFiles(files, cost))).toEqual([
+            'README.md',
+            'package.json',
+            'docs/README.md',
+            'src/util.js',
+            'src/app.js',
+            'src/app.test.js',
+            'tests/helpers.js',
+        ]);
+    });
+
+    test('ranks files matching priority patterns first, in pattern order', () => {
+        const files = records({
+            'README.md': 1,
+            'src/core/engine.js': 30,
+            'src/api.js': 20,
+            'src/other.js': 10,
+        });
+
+        expect(paths(rankFiles(files, cost, ['src/api.js', 'src/core/']))).toEqual([
+            'src/api.js',
+            'src/core/engine.js',
+            'README.md',
+            'src/other.js',
+        ]);
+    });
+});
+
+describe('packFiles', () => {
+    const budget = limit => ({ limit, unit: 'bytes' });
+    const sumOfCosts = kept => kept.reduce((total, file) => total + cost(file), 0);
+
+    test('keeps the highest priority files that fit, in content order', () => {
+        const files = records({ 'src/big.js': 80, 'src/small.js': 10, 'README.md': 30, 'src/medium.js': 40 });
+
+        const { kept, omitted } = packFiles(files, budget(85), cost, sumOfCosts);
+
+        expect(paths(kept)).toEqual(['src/small.js', 'README.md', 'src/medium.js']);
+        expect(paths(omitted)).toEqual(['src/big.js']);
+    });
+
+    test('skips files that do not fit and keeps packing smaller ones', () => {
+        const files = records({ 'README.md': 60, 'src/a.js': 30, 'src/a.test.js': 10 });
+
+        const { kept } = packFiles(files, budget(75), cost, sumOfCosts);
+
+        expect(paths(kept)).toEqual(['README.md', 'src/a.test.js']);
+    });
+
+    test('drops the lowest ranked files until the measured output fits', () => {
+        const files = records({ 'README.md': 20, 'src/a.js': 20, 'src/b.js': 30 });
+        // Each file adds 10 units of separators
+        const withOverhead = kept => sumOfCosts(kept) + 10 * kept.length;
+
+        const { kept, omitted } = packFiles(files, budget(70), cost, withOverhead);
+
+        expect(paths(kept)).toEqual(['README.md', 'src/a.js']);
+        expect(paths(omitted)).toEqual(['src/b.js']);
+    });
+
+    test('measures the output a logarithmic number of times', () => {
+        const files = records(Object.fromEntries(Array.from({ length: 1000 }, (_, index) => [`src/file${index}.js`, 10])));
+        const measure = jest.fn(kept => sumOfCosts(kept) + 10 * kept.length);
+
+        const { kept } = packFiles(files, budget(5000), cost, measure);
+
+        expect(kept).toHaveLength(250);
+        expect(measure.mock.calls.length).toBeLessThanOrEqual(12);
+    });
+
+    test('omits every file when nothing fits', () => {
+        const files = records({ 'README.md': 20 });
+
+        const { kept, omitted } = packFiles(files, budget(5), cost, () => 10);
+
+        expect(kept).toEqual([]);
+        expect(paths(omitted)).toEqual(['README.md']);
+    });
+});
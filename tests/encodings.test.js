@@ -0,0 +1,189 @@
+/**
+ * Tests for text encoding detection and transcoding
+ * These tests verify byte order mark detection, the UTF-16 and legacy encoding heuristics,
+ * encoding overrides, and that serializeRepo transcodes detected files to UTF-8.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { serializeRepo, deserializeRepo } = require('../src/index');
+const { createEncodingOverrides, detectBom, guessLegacyEncoding, guessUtf16, normalizeEncoding, parseEncodingOverrides } = require('../src/encodings');
+
+/** @constant {Buffer} SHIFT_JIS_COMMENT - "// これは日本語です" followed by a line of code, in Shift-JIS */
+const SHIFT_JIS_COMMENT = Buffer.from('2f2f2082b182ea82cd93fa967b8cea82c582b70a696e7420793b0a', 'hex');
+
+/**
+ * Encodes text as UTF-16 big endian
+ * @param {string} text - The text
+ * @returns {Buffer} - The encoded text
+ */
+function utf16be(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+describe('encodings', () => {
+    let tmpDir;
+    let outputDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+        outputDir.removeCallback();
+    });
+
+    /**
+     * Serializes the repository in the json format and returns the file records
+     * @param {Object} [options] - Additional serializeRepo options
+     * @returns {Object[]} - The file records
+     */
+    function serializeFiles(options = {}) {
+        serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', force: true, ...options });
+        return JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8')).files;
+    }
+
+    describe('detection', () => {
+        test('detects byte order marks', () => {
+            expect(detectBom(Buffer.from('efbbbf6869', 'hex'))).toBe('utf-8');
+            expect(detectBom(Buffer.from('fffe6800', 'hex'))).toBe('utf-16le');
+            expect(detectBom(Buffer.from('feff0068', 'hex'))).toBe('utf-16be');
+            expect(detectBom(Buffer.from('hi'))).toBeNull();
+        });
+
+        test('guesses UTF-16 without a byte order mark from its zero bytes', () => {
+            expect(guessUtf16(Buffer.from('const x = 1;\n', 'utf16le'))).toBe('utf-16le');
+            expect(guessUtf16(utf16be('const x = 1;\n'))).toBe('utf-16be');
+            expect(guessUtf16(Buffer.from('const x = 1;\n'))).toBeNull();
+            expect(guessUtf16(Buffer.alloc(64))).toBeNull();
+        });
+
+        test('guesses Shift-JIS from runs of Japanese characters, and windows-1252 otherwise', () => {
+            expect(guessLegacyEncoding(SHIFT_JIS_COMMENT)).toBe('shift_jis');
+            // A lone accented letter can pair up with the next byte as a Shift-JIS character
+            expect(guessLegacyEncoding(Buffer.from('na\xefve caf\xe9\n', 'latin1'))).toBe('windows-1252');
+            expect(guessLegacyEncoding(Buffer.from([0x61, 0x81, 0x62]))).toBeNull();
+        });
+    });
+
+    describe('overrides', () => {
+        test('parses pattern=encoding overrides', () => {
+            expect(parseEncodingOverrides(['legacy/*.c=latin1', 'a=b=sjis'])).toEqual({ 'legacy/*.c': 'latin1', 'a=b': 'sjis' });
+            expect(() => parseEncodingOverrides(['latin1'])).toThrow('Invalid encoding override: latin1. Expected <pattern>=<encoding>');
+            expect(() => parseEncodingOverrides(['*.c='])).toThrow('Invalid encoding override: *.c=');
+        });
+
+        test('resolves encoding labels and lets the last matching pattern win', () => {
+            const encodingFor = createEncodingOverrides({ '*.c': 'latin1', 'legacy/': 'sjis', 'legacy/keep.c': 'utf8' });
+
+            expect(normalizeEncoding('UTF-16')).toBe('utf-16le');
+            expect(encodingFor('src/main.c')).toBe('windows-1252');
+            expect(encodingFor('legacy/main.c')).toBe('shift_jis');
+            expect(encodingFor('legacy/keep.c')).toBe('utf-8');
+            expect(encodingFor('main.h')).toBeNull();
+            expect(() => createEncodingOverrides({ '*.c': 'klingon' })).toThrow('Unsupported encoding: klingon');
+        });
+    });
+
+    describe('serializeRepo', () => {
+        /**
+         * Tests transcoding during serialization:
+         * - Files in detected encodings are transcoded to UTF-8 and keep their encoding in the record
+         * - The encoding is noted next to the path in the text, markdown and xml formats
+         * - Overrides replace detection, and restore writes transcoded files as UTF-8
+         */
+
+        beforeEach(() => {
+            fs.writeFileSync(path.join(tmpDir.name, 'bom.txt'), Buffer.concat([Buffer.from('fffe', 'hex'), Buffer.from('héllo\n', 'utf16le')]));
+            fs.writeFileSync(path.join(tmpDir.name, 'be.txt'), utf16be('big endian\n'));
+            fs.writeFileSync(path.join(tmpDir.name, 'latin.c'), Buffer.from('/* caf\xe9 */\n', 'latin1'));
+            fs.writeFileSync(path.join(tmpDir.name, 'sjis.c'), SHIFT_JIS_COMMENT);
+            fs.writeFileSync(path.join(tmpDir.name, 'plain.txt'), 'plain\n');
+        });
+
+        test('transcodes detected encodings to UTF-8', () => {
+            const files = serializeFiles();
+
+            expect(files.map(file => [file.path, file.encoding.name, file.content])).toEqual([
+                ['be.txt', 'utf-16be', 'big endian\n'],
+                ['bom.txt', 'utf-16le', 'héllo\n'],
+                ['latin.c', 'windows-1252', '/* café */\n'],
+                ['plain.txt', 'utf-8', 'plain\n'],
+                ['sjis.c', 'shift_jis', '// これは日本語です\nint y;\n']
+            ]);
+        });
+
+        test('keeps rejecting files with control characters in every encoding', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'data.bin'), Buffer.from([0x00, 0x01, 0x02, 0x00, 0x00, 0x03, 0xe9, 0xff]));
+
+            expect(serializeFiles().map(file => file.path)).not.toContain('data.bin');
+        });
+
+        test('rejects binary files that start with a byte order mark', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'data.bin'), Buffer.from('fffe0100020003000400050006000700', 'hex'));
+            fs.writeFileSync(path.join(tmpDir.name, 'blob.bin'), Buffer.from('efbbbf00010203040506ff', 'hex'));
+
+            const paths = serializeFiles().map(file => file.path);
+            expect(paths).not.toContain('data.bin');
+            expect(paths).not.toContain('blob.bin');
+            expect(paths).toContain('bom.txt');
+        });
+
+        test('notes the original encoding next to the path', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name });
+            const text = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'markdown' });
+            const markdown = fs.readFileSync(path.join(outputDir.name, 'repo_content.md'), 'utf-8');
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'xml' });
+            const xml = fs.readFileSync(path.join(outputDir.name, 'repo_content.xml'), 'utf-8');
+
+            expect(text).toContain(`START OF FILE: sjis.c\nENCODING: shift_jis\n${'-'.repeat(60)}\n// これは日本語です`);
+            expect(text).toContain(`START OF FILE: plain.txt\n${'-'.repeat(60)}\n`);
+            expect(markdown).toContain('## latin.c (transcoded from windows-1252)\n');
+            expect(markdown).toContain('## plain.txt\n');
+            expect(xml).toContain('<document index="3" encoding="windows-1252">\n<source>latin.c</source>');
+        });
+
+        test('reads files in the encoding they are overridden to', () => {
+            const files = serializeFiles({ encodings: { 'latin.c': 'koi8-r' } });
+
+            expect(files.find(file => file.path === 'latin.c')).toMatchObject({ encoding: { name: 'koi8-r' }, content: '/* cafИ */\n' });
+        });
+
+        test('truncates UTF-16 files on character boundaries', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'large.txt'), Buffer.from(`${'a'.repeat(600)}${'b'.repeat(600)}`, 'utf16le'));
+
+            const large = serializeFiles({ maxFileSize: 1001, truncate: 'head+tail' }).find(file => file.path === 'large.txt');
+
+            expect(large.encoding.name).toBe('utf-16le');
+            expect(large.content).toBe(`${'a'.repeat(250)}\n[... truncated 1400 bytes ...]\n${'b'.repeat(250)}`);
+        });
+
+        test('counts the lines left out of truncated UTF-16 files', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'large.txt'), Buffer.from('ab\n'.repeat(400), 'utf16le'));
+
+            const large = serializeFiles({ maxFileSize: 1001, truncate: 'tail', lineNumbers: true }).find(file => file.path === 'large.txt');
+            const lines = large.content.split('\n');
+
+            expect(lines.slice(0, 3)).toEqual(['[... truncated 1400 bytes ...]', '234 | b', '235 | ab']);
+            expect(lines.slice(-2)).toEqual(['400 | ab', '']);
+        });
+
+        test('restores transcoded files as UTF-8', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name });
+            const restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+            deserializeRepo({ contentFile: path.join(outputDir.name, 'repo_content.txt'), outputDir: restoreDir.name });
+
+            expect(fs.readFileSync(path.join(restoreDir.name, 'sjis.c'), 'utf-8')).toBe('// これは日本語です\nint y;\n');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'bom.txt'), 'utf-8')).toBe('héllo\n');
+            restoreDir.removeCallback();
+        });
+    });
+});
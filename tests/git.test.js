@@ -0,0 +1,457 @@
+/**
+ * Tests for the git-backed serialization modes
+ * These tests build real throwaway git repositories, so they need git on the PATH.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { execFileSync } = require('child_process');
+const { deserializeRepo, parseContentFile, serializeRepo } = require('../src/index');
+const { listChangedFiles, listTrackedFiles } = require('../src/git');
+const { createFileListSource, createRevisionSource } = require('../src/sources');
+
+/**
+ * Runs git in a directory with a fixed identity so commits work on any machine
+ * @param {string} cwd - The repository directory
+ * @param {...string} args - The git arguments
+ * @returns {string} - The standard output
+ */
+function git(cwd, ...args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], {
+        cwd,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+}
+
+/**
+ * Writes a file, creating its parent directories
+ * @param {string} root - The repository directory
+ * @param {string} relativePath - The path of the file
+ * @param {string} content - The file content
+ */
+function write(root, relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relativePath), content);
+}
+
+describe('git', () => {
+    let repoDir;
+    let outputDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        repoDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+
+        git(repoDir.name, 'init', '-q');
+        write(repoDir.name, 'README.md', '# Project');
+        write(repoDir.name, 'src/index.js', 'module.exports = 1;');
+        git(repoDir.name, 'add', '.');
+        git(repoDir.name, 'commit', '-q', '-m', 'initial');
+    });
+
+    afterEach(() => {
+        repoDir.removeCallback();
+        outputDir.removeCallback();
+    });
+
+    describe('git-tracked mode', () => {
+        /**
+         * Tests building the file set from the git index:
+         * - Untracked files that were never ignored are left out
+         * - Staged files are included
+         * - .git/info/exclude has no effect on tracked files
+         */
+
+        test('lists committed and staged files only', () => {
+            write(repoDir.name, 'src/staged.js', 'staged');
+            git(repoDir.name, 'add', 'src/staged.js');
+            write(repoDir.name, 'scratch.txt', 'untracked junk');
+            write(repoDir.name, 'src/deleted.js', 'deleted');
+            git(repoDir.name, 'add', 'src/deleted.js');
+            fs.unlinkSync(path.join(repoDir.name, 'src/deleted.js'));
+
+            expect(listTrackedFiles(repoDir.name).sort()).toEqual(['README.md', 'src/index.js', 'src/staged.js']);
+        });
+
+        test('lists paths relative to a subdirectory of the work tree', () => {
+            expect(listTrackedFiles(path.join(repoDir.name, 'src'))).toEqual(['index.js']);
+        });
+
+        test('serializes exactly the tracked files', () => {
+            write(repoDir.name, 'scratch.txt', 'untracked junk');
+            write(repoDir.name, 'build/out.js', 'excluded build output');
+            write(repoDir.name, '.git/info/exclude', 'build/\n');
+            // A tracked file that matches .gitignore is still part of the snapshot
+            write(repoDir.name, '.gitignore', '*.log\n');
+            write(repoDir.name, 'forced.log', 'force-added');
+            git(repoDir.name, 'add', '-f', 'forced.log');
+
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                gitTracked: true,
+                tokenizer: 'chars'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(structure).toBe([
+                `${path.basename(repoDir.name)}/`,
+                '├── src/',
+                '│   └── index.js (5 tokens)',
+                '├── forced.log (3 tokens)',
+                '└── README.md (3 tokens)',
+                ''
+            ].join('\n'));
+            expect(content).toContain('force-added');
+            expect(content).not.toContain('untracked junk');
+            expect(content).not.toContain('excluded build output');
+        });
+
+        test('throws error outside a git repository', () => {
+            const plainDir = tmp.dirSync({ unsafeCleanup: true });
+            // Keep git from discovering a repository in a parent of the temporary directory
+            const ceiling = process.env.GIT_CEILING_DIRECTORIES;
+            process.env.GIT_CEILING_DIRECTORIES = path.dirname(plainDir.name);
+
+            try {
+                expect(() => serializeRepo({
+                    repoRoot: plainDir.name,
+                    outputDir: outputDir.name,
+                    gitTracked: true
+                })).toThrow(/git ls-files failed: fatal: not a git repository/);
+            } finally {
+                if (ceiling === undefined) delete process.env.GIT_CEILING_DIRECTORIES;
+                else process.env.GIT_CEILING_DIRECTORIES = ceiling;
+                plainDir.removeCallback();
+            }
+        });
+    });
+
+    describe('changed since a ref', () => {
+        /**
+         * Tests restricting the snapshot to files touched since a ref:
+         * - Added, modified, untracked and deleted files
+         * - Full files versus diffs with context
+         * - Ref validation
+         */
+
+        beforeEach(() => {
+            write(repoDir.name, 'src/remove.js', 'to be removed');
+            write(repoDir.name, 'src/keep.js', ['one', 'two', 'three', 'four', 'five', 'six', ''].join('\n'));
+            git(repoDir.name, 'add', '.');
+            git(repoDir.name, 'commit', '-q', '-m', 'base');
+            git(repoDir.name, 'tag', 'base');
+
+            write(repoDir.name, 'src/keep.js', ['one', 'two', 'three', 'FOUR', 'five', 'six', ''].join('\n'));
+            write(repoDir.name, 'src/added.js', 'added and committed');
+            git(repoDir.name, 'rm', '-q', 'src/remove.js');
+            git(repoDir.name, 'add', '.');
+            git(repoDir.name, 'commit', '-q', '-m', 'change');
+            write(repoDir.name, 'docs/new.md', 'untracked addition');
+        });
+
+        test('lists changed and deleted files relative to the ref', () => {
+            const changes = listChangedFiles(repoDir.name, 'base');
+
+            expect(changes.ref).toBe('base');
+            expect([...changes.changed].sort()).toEqual([
+                ['docs/new.md', 'added'],
+                ['src/added.js', 'added'],
+                ['src/keep.js', 'modified']
+            ]);
+            expect(changes.deleted).toEqual(['src/remove.js']);
+            expect([...listChangedFiles(repoDir.name, 'base', false).changed.keys()].sort()).toEqual(['src/added.js', 'src/keep.js']);
+        });
+
+        test('restricts structure and content to changed files', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                changedSince: 'base',
+                tokenizer: 'chars'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(structure).toBe([
+                `${path.basename(repoDir.name)}/`,
+                '├── docs/',
+                '│   └── new.md (5 tokens)',
+                '└── src/',
+                '    ├── added.js (5 tokens)',
+                '    └── keep.js (7 tokens)',
+                '',
+                'Deleted files:',
+                '- src/remove.js',
+                ''
+            ].join('\n'));
+            expect(content).toContain('one\ntwo\nthree\nFOUR\nfive\nsix\n');
+            expect(content).not.toContain('FILE: README.md');
+        });
+
+        test('serializes modified files as diffs with the requested context', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                changedSince: 'base',
+                diffContext: 1
+            });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            const keep = files.find(file => file.path === 'src/keep.js');
+            expect(keep).toMatchObject({ change: 'modified', diff: true });
+            expect(keep.content).toContain('@@ -3,3 +3,3 @@');
+            expect(keep.content).toContain(' three\n-four\n+FOUR\n five\n');
+            expect(keep.content).not.toContain(' six');
+
+            // Added files have nothing to diff against, so they stay whole
+            expect(files.find(file => file.path === 'src/added.js')).toMatchObject({ change: 'added', content: 'added and committed' });
+            expect(files.find(file => file.path === 'src/added.js').diff).toBeUndefined();
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree.deleted).toEqual(['src/remove.js']);
+        });
+
+        test('marks diffs in the text format, and leaves them out when restoring', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                changedSince: 'base',
+                diffContext: 1
+            });
+            const contentFile = path.join(outputDir.name, 'repo_content.txt');
+            const restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+            expect(fs.readFileSync(contentFile, 'utf-8')).toContain(`START OF FILE: src/keep.js\nDIFF: yes\n${'-'.repeat(60)}\ndiff --git`);
+            expect(parseContentFile(fs.readFileSync(contentFile, 'utf-8')).find(entry => entry.path === 'src/keep.js')).toMatchObject({ diff: true });
+            expect(deserializeRepo({ contentFile, outputDir: restoreDir.name })).toEqual(['docs/new.md', 'src/added.js']);
+            expect(fs.existsSync(path.join(restoreDir.name, 'src', 'keep.js'))).toBe(false);
+            restoreDir.removeCallback();
+        });
+
+        test('combines with git-tracked mode to leave out untracked additions', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                changedSince: 'base',
+                gitTracked: true
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content).toContain('FILE: src/keep.js');
+            expect(content).not.toContain('FILE: docs/new.md');
+        });
+
+        test('reports an empty deleted files section', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                format: 'markdown',
+                changedSince: 'HEAD'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.md'), 'utf-8');
+            expect(structure).toContain('```text\nDeleted files:\n(none)\n```');
+        });
+
+        test('throws error for unknown refs', () => {
+            expect(() => listChangedFiles(repoDir.name, 'no-such-ref')).toThrow('Unknown git ref: no-such-ref');
+            expect(() => listChangedFiles(repoDir.name, '--output=/tmp/x')).toThrow('Unknown git ref: --output=/tmp/x');
+        });
+
+        test('validates diffContext', () => {
+            expect(() => serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                changedSince: 'base',
+                diffContext: -1
+            })).toThrow('Diff context must be a non-negative integer');
+
+            expect(() => serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                diffContext: 3
+            })).toThrow('Diff context requires changedSince');
+        });
+    });
+
+    describe('revision mode', () => {
+        /**
+         * Tests serializing a commit's tree through git objects:
+         * - The working tree is neither read nor modified
+         * - .gitignore files are taken from the revision
+         * - Combination with changes since a ref
+         */
+
+        beforeEach(() => {
+            write(repoDir.name, '.gitignore', 'secret.txt\n');
+            write(repoDir.name, 'secret.txt', 'force-added secret');
+            write(repoDir.name, 'bin/data.bin', Buffer.from([0x00, 0x01, 0x02]));
+            git(repoDir.name, 'add', '.gitignore', 'bin/data.bin');
+            git(repoDir.name, 'add', '-f', 'secret.txt');
+            git(repoDir.name, 'commit', '-q', '-m', 'release');
+            git(repoDir.name, 'tag', 'v1.0.0');
+
+            // Rewrite history in the working tree only
+            write(repoDir.name, '.gitignore', '');
+            write(repoDir.name, 'README.md', '# Working copy');
+            write(repoDir.name, 'extra.txt', 'not in the release');
+            fs.rmSync(path.join(repoDir.name, 'src'), { recursive: true });
+        });
+
+        test('serializes the tree of a revision instead of the working directory', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                rev: 'v1.0.0',
+                tokenizer: 'chars'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(structure).toBe([
+                `${path.basename(repoDir.name)}/`,
+                '├── bin/',
+                '│   └── data.bin',
+                '├── src/',
+                '│   └── index.js (5 tokens)',
+                '└── README.md (3 tokens)',
+                ''
+            ].join('\n'));
+            expect(content).toContain('# Project');
+            expect(content).toContain('module.exports = 1;');
+            expect(content).not.toContain('Working copy');
+            expect(content).not.toContain('FILE: bin/data.bin');
+            expect(fs.readFileSync(path.join(repoDir.name, 'README.md'), 'utf-8')).toBe('# Working copy');
+        });
+
+        test('honors the .gitignore files of the revision', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                rev: 'v1.0.0',
+                ignoreDefaultPatterns: true
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure).toContain('.gitignore');
+            expect(structure).not.toContain('secret.txt');
+
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                structureFile: 'no-gitignore.txt',
+                contentFile: 'no-gitignore-content.txt',
+                rev: 'v1.0.0',
+                noGitignore: true
+            });
+            expect(fs.readFileSync(path.join(outputDir.name, 'no-gitignore.txt'), 'utf-8')).toContain('secret.txt');
+        });
+
+        test('follows symbolic links in a revision, which lists none', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                rev: 'v1.0.0',
+                symlinks: 'follow'
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content).toContain('module.exports = 1;');
+            expect(content).not.toContain('Working copy');
+        });
+
+        test('serializes a subdirectory of a revision', () => {
+            fs.mkdirSync(path.join(repoDir.name, 'src'));
+
+            serializeRepo({
+                repoRoot: path.join(repoDir.name, 'src'),
+                outputDir: outputDir.name,
+                rev: 'v1.0.0',
+                tokenizer: 'chars'
+            });
+
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toBe('src/\n└── index.js (5 tokens)\n');
+        });
+
+        test('restricts a revision to files changed since another ref', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                rev: 'v1.0.0',
+                changedSince: 'HEAD~1',
+                ignoreDefaultPatterns: true,
+                noGitignore: true
+            });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files.map(file => [file.path, file.change])).toEqual([
+                ['.gitignore', 'added'],
+                ['secret.txt', 'added']
+            ]);
+        });
+
+        test('records file metadata without a modification time', () => {
+            serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                rev: 'v1.0.0',
+                fileMetadata: true
+            });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            const readme = files.find(file => file.path === 'README.md');
+            expect(readme).toMatchObject({ language: 'markdown', hash: crypto.createHash('sha256').update('# Project').digest('hex').slice(0, 12) });
+            expect(readme).not.toHaveProperty('modified');
+        });
+
+        test('reads blobs through the revision source', () => {
+            const source = createRevisionSource(repoDir.name, 'v1.0.0');
+            const readmePath = path.join(repoDir.name, 'README.md');
+
+            expect(source.exists(readmePath)).toBe(true);
+            expect(source.exists(path.join(repoDir.name, 'extra.txt'))).toBe(false);
+            expect(source.size(readmePath)).toBe(9);
+            expect(source.read(readmePath).toString()).toBe('# Project');
+            expect(source.read(readmePath, 3).toString()).toBe('# P');
+            expect(() => source.read(path.join(repoDir.name, 'extra.txt'))).toThrow('ENOENT: no such file in v1.0.0: extra.txt');
+        });
+
+        test('throws error for unknown revisions and git-tracked mode', () => {
+            expect(() => serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                rev: 'v9.9.9'
+            })).toThrow('Unknown git ref: v9.9.9');
+
+            expect(() => serializeRepo({
+                repoRoot: repoDir.name,
+                outputDir: outputDir.name,
+                rev: 'v1.0.0',
+                gitTracked: true
+            })).toThrow('Cannot use gitTracked and rev options together');
+        });
+    });
+
+    describe('createFileListSource', () => {
+        test('lists directory entries from a flat list of paths', () => {
+            const source = createFileListSource('/repo', ['a.txt', 'src/b.js', 'src/lib/c.js']);
+            const list = dir => source.readdir(dir).map(entry => `${entry.name}${entry.isDirectory() ? '/' : ''}`);
+
+            expect(list('/repo')).toEqual(['a.txt', 'src/']);
+            expect(list('/repo/src')).toEqual(['b.js', 'lib/']);
+            expect(list('/repo/src/lib')).toEqual(['c.js']);
+            expect(list('/repo/missing')).toEqual([]);
+        });
+    });
+});
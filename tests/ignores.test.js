@@ -0,0 +1,388 @@
+/**
+ * Tests for ignore pattern handling
+ * These tests verify that nested .gitignore files, .git/info/exclude and core.excludesFile are
+ * applied the way git applies them, by comparing serialized files with `git check-ignore` on
+ * generated repositories. They build real throwaway git repositories, so they need git on the PATH.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { execFileSync } = require('child_process');
+const { explainPath, serializeRepo } = require('../src/index');
+const { createIgnoreFrame, createIgnoreMatcher } = require('../src/ignores');
+
+/** @constant {string[]} DIRECTORY_NAMES - Names generated directories are picked from */
+const DIRECTORY_NAMES = ['a', 'b', 'build', 'docs', 'src', 'out', 'Cache', 'node_modules'];
+
+/** @constant {string[]} FILE_NAMES - Names generated files are picked from */
+const FILE_NAMES = ['a.txt', 'b.txt', 'x.log', 'keep.log', 'Build.LOG', 'notes.tmp', 'index.js', 'README.md', 'data.json', '#hash', 'build'];
+
+/** @constant {string[]} PATTERNS - Patterns generated ignore files are picked from */
+const PATTERNS = [
+    '*.log', '!keep.log', '*.LOG', 'build/', 'build', '/build', '!build', 'a/b', '/a/b/', 'a/**/x.log', '**/docs',
+    'docs/**', 'docs/*', '!docs/README.md', '*.tmp', '!*.md', 'out/', '!out/', 'src/*.js', '/*.txt', '[ab].txt',
+    '?.txt', '\\#hash', '#hash', '', 'Cache/', 'node_modules', 'a/', '!a/index.js', '**/a/*.txt', 'x.log ',
+    '!/b', 'b/**/*.json', '*', '!*/', '!index.js', 'src/', '!src/a.txt', '**/out', 'docs', '/*/', '*/x.log',
+];
+
+/**
+ * Runs git in a directory
+ * @param {string} cwd - The directory
+ * @param {string[]} args - The git arguments
+ * @param {string} [input] - Standard input
+ * @returns {string} - The standard output
+ */
+function git(cwd, args, input) {
+    try {
+        return execFileSync('git', args, { cwd, input, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (error) {
+        // check-ignore exits with status 1 when no path is ignored
+        if (error.status === 1) return error.stdout;
+        throw error;
+    }
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so generated fixtures are the same on every run
+ * @param {number} seed - The seed
+ * @returns {function(): number} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates a repository with random files and ignore files
+ * @param {string} root - The directory to generate the repository in
+ * @param {string} excludesFile - The file to use as core.excludesFile
+ * @param {function(): number} random - The random number generator
+ * @returns {string[]} - The generated files, relative to root
+ */
+function generateFixture(root, excludesFile, random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const patterns = () => Array.from({ length: 1 + Math.floor(random() * 5) }, () => pick(PATTERNS)).join('\n') + '\n';
+
+    git(root, ['init', '-q']);
+    git(root, ['config', 'core.excludesFile', excludesFile]);
+
+    const directories = [''];
+    for (let i = 0; i < 8; i++) {
+        const parent = pick(directories);
+        const dir = parent === '' ? pick(DIRECTORY_NAMES) : `${parent}/${pick(DIRECTORY_NAMES)}`;
+        if (dir.split('/').length <= 3 && !directories.includes(dir)) {
+            directories.push(dir);
+            fs.mkdirSync(path.join(root, dir), { recursive: true });
+        }
+    }
+
+    const files = new Set();
+    for (const dir of directories) {
+        for (let i = 0; i < 4; i++) {
+            const relativePath = dir === '' ? pick(FILE_NAMES) : `${dir}/${pick(FILE_NAMES)}`;
+            if (!directories.includes(relativePath)) {
+                fs.writeFileSync(path.join(root, relativePath), 'content');
+                files.add(relativePath);
+            }
+        }
+        if (random() < 0.6) {
+            const gitignore = dir === '' ? '.gitignore' : `${dir}/.gitignore`;
+            fs.writeFileSync(path.join(root, gitignore), patterns());
+            files.add(gitignore);
+        }
+    }
+
+    fs.writeFileSync(path.join(root, '.git', 'info', 'exclude'), random() < 0.5 ? patterns() : '');
+    fs.writeFileSync(excludesFile, random() < 0.5 ? patterns() : '');
+    return [...files].sort();
+}
+
+/**
+ * Lists the files git does not ignore
+ * @param {string} dir - The directory to check from
+ * @param {string[]} files - The files to check, relative to dir
+ * @returns {string[]} - The files that are not ignored
+ */
+function filesNotIgnoredByGit(dir, files) {
+    const ignored = git(dir, ['check-ignore', '--stdin', '-z'], files.join('\0') + '\0').split('\0');
+    return files.filter(file => !ignored.includes(file));
+}
+
+/**
+ * Lists the files repo-serializer serializes
+ * @param {string} repoRoot - The directory to serialize
+ * @param {string} outputDir - The directory to write output to
+ * @returns {string[]} - The serialized files, relative to repoRoot
+ */
+function filesSerialized(repoRoot, outputDir) {
+    serializeRepo({ repoRoot, outputDir, format: 'json', ignoreDefaultPatterns: true, force: true, silent: true });
+    const { files } = JSON.parse(fs.readFileSync(path.join(outputDir, 'repo_content.json'), 'utf-8'));
+    return files.map(file => file.path).sort();
+}
+
+describe('ignores', () => {
+    let tmpDir;
+    let outputDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+        outputDir.removeCallback();
+    });
+
+    describe('ignore matcher', () => {
+        test('matches patterns relative to the directory of their frame', () => {
+            const repoRoot = tmpDir.name;
+            const ig = createIgnoreMatcher([createIgnoreFrame('*.log\n', '.gitignore', repoRoot)])
+                .push(createIgnoreFrame('build/out\n!keep.log\n', 'src/.gitignore', repoRoot, path.join(repoRoot, 'src')));
+
+            expect(ig.ignores('src/build/out')).toBe(true);
+            expect(ig.ignores('build/out')).toBe(false);
+            expect(ig.ignores('src/lib/build/out')).toBe(false);
+            expect(ig.ignores('src/debug.log')).toBe(true);
+            expect(ig.ignores('src/lib/keep.log')).toBe(false);
+            expect(ig.ignores('keep.log')).toBe(true);
+        });
+
+        test('prefixes paths for frames above the repository root', () => {
+            const repoRoot = path.join(tmpDir.name, 'packages', 'app');
+            const ig = createIgnoreMatcher([createIgnoreFrame('packages/app/dist/\n', '.gitignore', repoRoot, tmpDir.name)]);
+
+            expect(ig.ignores('dist/')).toBe(true);
+            expect(ig.ignores('lib/dist/')).toBe(false);
+        });
+
+        test('reports the pattern, its line and where it comes from', () => {
+            const ig = createIgnoreMatcher([createIgnoreFrame('# logs\n*.log\n\n!keep*.log\n', '.gitignore', tmpDir.name)]);
+
+            expect(ig.test('debug.log')).toEqual({ ignored: true, origin: '.gitignore', pattern: '*.log', line: 2 });
+            expect(ig.test('keep.log')).toEqual({ ignored: false, origin: '.gitignore', pattern: '!keep*.log', line: 4 });
+            expect(ig.test('index.js')).toEqual({ ignored: false, origin: null, pattern: null, line: null });
+        });
+
+        test('reports the position of patterns given as a list', () => {
+            const ig = createIgnoreMatcher([createIgnoreFrame(['*.tmp', 'dist/'], 'additional ignore patterns', tmpDir.name)]);
+
+            expect(ig.test('dist/')).toEqual({ ignored: true, origin: 'additional ignore patterns', pattern: 'dist/', line: 2 });
+            expect(ig.test('dist/index.js')).toEqual({ ignored: true, origin: 'additional ignore patterns', pattern: 'dist/', line: 2 });
+        });
+    });
+
+    describe('git conformance', () => {
+        /**
+         * Generates repositories from a fixed seed and checks that exactly the files
+         * git check-ignore does not report are serialized
+         */
+
+        const seeds = Array.from({ length: 25 }, (_, index) => index + 1);
+
+        test.each(seeds)('matches git check-ignore for generated repository %i', seed => {
+            const repoRoot = path.join(tmpDir.name, 'repo');
+            fs.mkdirSync(repoRoot);
+            const files = generateFixture(repoRoot, path.join(tmpDir.name, 'excludes'), createRandom(seed));
+
+            expect(filesSerialized(repoRoot, outputDir.name)).toEqual(filesNotIgnoredByGit(repoRoot, files));
+
+            // Serializing a subdirectory applies the ignore files above it
+            const directories = [...new Set(files.filter(file => file.includes('/')).map(file => file.split('/')[0] + '/'))];
+            const [subdirectory] = filesNotIgnoredByGit(repoRoot, directories);
+            if (subdirectory) {
+                const subRoot = path.join(repoRoot, subdirectory);
+                const subFiles = files.filter(file => file.startsWith(subdirectory)).map(file => file.slice(subdirectory.length));
+                expect(filesSerialized(subRoot, outputDir.name)).toEqual(filesNotIgnoredByGit(subRoot, subFiles));
+            }
+        });
+
+        test('reads .git/info/exclude and core.excludesFile', () => {
+            const repoRoot = path.join(tmpDir.name, 'repo');
+            const excludesFile = path.join(tmpDir.name, 'excludes');
+            fs.mkdirSync(repoRoot);
+            git(repoRoot, ['init', '-q']);
+            git(repoRoot, ['config', 'core.excludesFile', excludesFile]);
+            fs.writeFileSync(path.join(repoRoot, '.git', 'info', 'exclude'), '*.local\n');
+            fs.writeFileSync(excludesFile, '*.swp\n');
+            for (const name of ['index.js', 'settings.local', 'index.js.swp']) {
+                fs.writeFileSync(path.join(repoRoot, name), 'content');
+            }
+
+            expect(filesSerialized(repoRoot, outputDir.name)).toEqual(['index.js']);
+            serializeRepo({ repoRoot, outputDir: outputDir.name, format: 'json', noGitignore: true, force: true, silent: true });
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files.map(file => file.path)).toEqual(['index.js', 'index.js.swp', 'settings.local']);
+        });
+    });
+
+    describe('ignored entries in the structure tree', () => {
+        /**
+         * Tests keeping ignored entries in the structure tree:
+         * - Ignored directories collapsed into a count of their entries, and ignored files marked with where they are ignored
+         * - Ignored directories that cannot be read marked instead of counted
+         * - Ignored directories without any included file left out with include patterns
+         * - The content file and the tree without the option are unchanged
+         */
+
+        beforeEach(() => {
+            fs.mkdirSync(path.join(tmpDir.name, 'node_modules', 'pkg', 'lib'), { recursive: true });
+            fs.mkdirSync(path.join(tmpDir.name, 'src'));
+            fs.mkdirSync(path.join(tmpDir.name, '.git'));
+            fs.writeFileSync(path.join(tmpDir.name, '.gitignore'), 'node_modules/\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', '.gitignore'), '*.log\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'node_modules', 'pkg', 'index.js'), 'module.exports = 1;\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'node_modules', 'pkg', 'lib', 'util.js'), 'module.exports = 2;\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'index.js'), 'console.log(1);\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'debug.log'), 'debug\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'notes.tmp'), 'notes\n');
+            fs.writeFileSync(path.join(tmpDir.name, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+        });
+
+        test('lists ignored entries collapsed and marked with where they are ignored', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, additionalIgnorePatterns: ['*.tmp'], showIgnored: true, tokenizer: 'chars' });
+
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toBe([
+                `${path.basename(tmpDir.name)}/`,
+                '├── node_modules/ [ignored by .gitignore, 4 entries]',
+                '├── src/',
+                '│   ├── .gitignore [ignored by default ignore patterns]',
+                '│   ├── debug.log [ignored by src/.gitignore]',
+                '│   └── index.js (4 tokens)',
+                '├── .gitignore [ignored by default ignore patterns]',
+                '└── notes.tmp [ignored by additional ignore patterns]',
+                ''
+            ].join('\n'));
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content.match(/^START OF FILE: .*$/gm)).toEqual(['START OF FILE: src/index.js']);
+        });
+
+        test('marks ignored entries in the json structure tree', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', showIgnored: true, annotate: true });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree.children[0]).toEqual({ name: 'node_modules', path: 'node_modules', type: 'directory', ignoredBy: '.gitignore', entries: 4 });
+            expect(tree.children[1].children[1]).toEqual({ name: 'debug.log', path: 'src/debug.log', type: 'file', ignoredBy: 'src/.gitignore' });
+            expect(tree).toMatchObject({ files: 2 });
+        });
+
+        test('marks ignored directories that cannot be read instead of counting their entries', () => {
+            const readdirSync = fs.readdirSync;
+            jest.spyOn(fs, 'readdirSync').mockImplementation((dir, ...args) => {
+                if (dir === path.join(tmpDir.name, 'node_modules', 'pkg', 'lib')) {
+                    throw new Error('EACCES: permission denied');
+                }
+                return readdirSync(dir, ...args);
+            });
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', showIgnored: true });
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree.children[0]).toEqual({ name: 'node_modules', path: 'node_modules', type: 'directory', ignoredBy: '.gitignore', entries: null });
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, force: true, showIgnored: true });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toContain('├── node_modules/ [ignored by .gitignore, unreadable]\n');
+        });
+
+        test('lists ignored directories only when they hold a file matching the include patterns', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, showIgnored: true, includePatterns: ['src/**'], tokenizer: 'chars' });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toBe([
+                `${path.basename(tmpDir.name)}/`,
+                '└── src/',
+                '    ├── .gitignore [ignored by default ignore patterns]',
+                '    ├── debug.log [ignored by src/.gitignore]',
+                '    └── index.js (4 tokens)',
+                ''
+            ].join('\n'));
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, force: true, showIgnored: true, includePatterns: ['*.js'] });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toContain('├── node_modules/ [ignored by .gitignore, 4 entries]\n');
+        });
+
+        test('leaves ignored entries out by default', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure).not.toContain('node_modules');
+            expect(structure).not.toContain('ignored');
+        });
+    });
+
+    describe('explainPath', () => {
+        /**
+         * Tests explaining why a path is serialized or left out:
+         * - The kind, origin, pattern and line of the deciding ignore rule, including negations and ignored directories
+         * - Include patterns, text detection and the max file size
+         */
+
+        beforeEach(() => {
+            fs.mkdirSync(path.join(tmpDir.name, 'node_modules', 'pkg'), { recursive: true });
+            fs.mkdirSync(path.join(tmpDir.name, 'src'));
+            fs.writeFileSync(path.join(tmpDir.name, '.gitignore'), '# dependencies\nnode_modules/\n*.log\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', '.gitignore'), '!keep.log\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'node_modules', 'pkg', 'index.js'), 'module.exports = 1;\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'index.js'), 'console.log(1);\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'keep.log'), 'kept\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'logo.png'), Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'large.txt'), 'x'.repeat(10000));
+            fs.writeFileSync(path.join(tmpDir.name, 'debug.log'), 'debug\n');
+        });
+
+        test('reports the ignore file and line of the deciding pattern', () => {
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'debug.log' })).toMatchObject({
+                path: 'debug.log',
+                type: 'file',
+                ignored: true,
+                rule: { kind: 'ignore-file', origin: '.gitignore', pattern: '*.log', line: 3 },
+                serialized: false
+            });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/keep.log' })).toMatchObject({
+                ignored: false,
+                rule: { kind: 'ignore-file', origin: 'src/.gitignore', pattern: '!keep.log', line: 1 },
+                serialized: true
+            });
+        });
+
+        test('reports the rule that ignores a directory for the paths inside it', () => {
+            expect(explainPath({ repoRoot: tmpDir.name, path: path.join(tmpDir.name, 'node_modules', 'pkg', 'index.js') })).toMatchObject({
+                path: 'node_modules/pkg/index.js',
+                ignored: true,
+                rule: { kind: 'ignore-file', origin: '.gitignore', pattern: 'node_modules/', line: 2 }
+            });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'node_modules' })).toMatchObject({ path: 'node_modules/', type: 'directory', ignored: true });
+        });
+
+        test('tells always ignored, default and additional ignore patterns apart', () => {
+            fs.mkdirSync(path.join(tmpDir.name, '.git'));
+
+            expect(explainPath({ repoRoot: tmpDir.name, path: '.git' }).rule).toEqual({ kind: 'always-ignore', origin: 'always ignored patterns', pattern: '.git/', line: null });
+            expect(explainPath({ repoRoot: tmpDir.name, path: '.gitignore' }).rule).toEqual({ kind: 'default', origin: 'default ignore patterns', pattern: '.*', line: null });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/index.js', additionalIgnorePatterns: ['src/'] }).rule)
+                .toEqual({ kind: 'ignore-option', origin: 'additional ignore patterns', pattern: 'src/', line: null });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/index.js' })).toMatchObject({ ignored: false, rule: null, serialized: true });
+        });
+
+        test('reports include patterns, text detection and the max file size', () => {
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/index.js', includePatterns: ['*.ts'] })).toMatchObject({ included: false, serialized: false });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/index.js' }).text).toEqual({ text: true, encoding: 'utf-8', reason: 'valid UTF-8' });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/logo.png' })).toMatchObject({
+                text: { text: false, encoding: null, reason: 'binary: PNG image signature' },
+                serialized: false
+            });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/large.txt', maxFileSize: 8192 })).toMatchObject({ size: 10000, tooLarge: true, serialized: false });
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'src/large.txt', maxFileSize: 8192, truncate: 'head' })).toMatchObject({ tooLarge: false, serialized: true });
+        });
+
+        test('explains paths that do not exist, and rejects paths outside the repository', () => {
+            expect(explainPath({ repoRoot: tmpDir.name, path: 'dist/' })).toMatchObject({ path: 'dist/', type: null, ignored: false, serialized: false });
+            expect(() => explainPath({ repoRoot: tmpDir.name, path: '../elsewhere.js' })).toThrow('Path is outside the repository: ../elsewhere.js');
+        });
+    });
+});
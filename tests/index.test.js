@@ -5,11 +5,13 @@
  * The tests cover basic functionality, file handling, CLI operations, and edge cases.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const tmp = require('tmp');
 const os = require('os');
-const { serializeRepo, ALWAYS_IGNORE_PATTERNS, DEFAULT_IGNORE_PATTERNS, parseFileSize, prettyFileSize, MIN_FILE_SIZE, MAX_FILE_SIZE, DEFAULT_MAX_FILE_SIZE } = require('../src/index');
+const { execFileSync } = require('child_process');
+const { serializeRepo, ALWAYS_IGNORE_PATTERNS, DEFAULT_IGNORE_PATTERNS, parseBudget, parseFileSize, prettyFileSize, MIN_FILE_SIZE, MAX_FILE_SIZE, DEFAULT_MAX_FILE_SIZE } = require('../src/index');
 
 describe('repo-serializer', () => {
     let tmpDir;
@@ -1601,34 +1603,54 @@ describe('repo-serializer', () => {
                 mockConsoleLog.mockRestore();
             });
 
-            test('handles large files', () => {
+            test('skips and reports files larger than maxFileSize', () => {
                 /**
-                 * Ensures that large files are included in the output
-                 * while still being checked for human-readability up
-                 * to the maxFileSize limit
+                 * Ensures that text files over the maxFileSize limit are
+                 * left out of the content file but kept in the structure,
+                 * and that each one is reported unless silent
                  */
 
-                const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-serializer-'));
-                const repoDir = path.join(tmpDir, 'test-repo');
-                const outputDir = path.join(tmpDir, 'output');
-                fs.mkdirSync(repoDir);
-                fs.mkdirSync(outputDir);
+                const consoleSpy = jest.spyOn(console, 'log');
+                fs.writeFileSync(path.join(tmpDir.name, 'large.txt'), Buffer.alloc(1024 * 1024 + 1).fill('x'));
+
+                serializeRepo({
+                    repoRoot: tmpDir.name,
+                    outputDir: outputDir.name
+                });
 
-                // Create a file larger than 8KB (default max size) with text content
-                const largeFile = path.join(repoDir, 'large.txt');
-                const largeContent = Buffer.alloc(8194 * 16).fill('x');
-                fs.writeFileSync(largeFile, largeContent);
+                const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+                const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+                expect(structure).toContain('large.txt');
+                expect(content).not.toContain('FILE: large.txt');
+                expect(content).toContain('FILE: file1.txt');
+                expect(consoleSpy).toHaveBeenCalledWith('Skipping file larger than 1MB from content file: large.txt (1048577 bytes)');
 
+                consoleSpy.mockClear();
                 serializeRepo({
-                    repoRoot: repoDir,
-                    outputDir: outputDir,
-                    structureFile: 'structure.txt',
-                    contentFile: 'content.txt'
+                    repoRoot: tmpDir.name,
+                    outputDir: outputDir.name,
+                    force: true,
+                    silent: true
                 });
+                expect(consoleSpy.mock.calls.filter(call => call[0].startsWith('Skipping file larger'))).toEqual([]);
+            });
+
+            test('includes files of exactly maxFileSize', () => {
+                /**
+                 * Verifies that the limit is inclusive
+                 */
+
+                fs.writeFileSync(path.join(tmpDir.name, 'limit.txt'), 'y'.repeat(MIN_FILE_SIZE));
 
-                const content = fs.readFileSync(path.join(outputDir, 'content.txt'), 'utf-8');
-                expect(content).toContain('FILE: large.txt');
-                expect(content).toContain('x'.repeat(8194 * 16));
+                serializeRepo({
+                    repoRoot: tmpDir.name,
+                    outputDir: outputDir.name,
+                    maxFileSize: MIN_FILE_SIZE
+                });
+
+                const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+                expect(content).toContain('y'.repeat(MIN_FILE_SIZE));
+                expect(content).not.toContain('truncated');
             });
 
             test('validates maxFileSize limits', () => {
@@ -1656,5 +1678,823 @@ describe('repo-serializer', () => {
                 })).toThrow(`Max file size must be between`);
             });
         });
+
+        describe('truncation', () => {
+            /**
+             * Tests keeping part of files larger than maxFileSize:
+             * - head, tail and head+tail modes
+             * - The truncation marker and the truncated byte count
+             * - Cuts on UTF-8 character boundaries
+             */
+
+            /** @constant {number} LIMIT - The maxFileSize the truncation tests run with */
+            const LIMIT = 8192;
+
+            /**
+             * Serializes the repository in the json format and returns the record of one file
+             * @param {Object} options - Extra serializeRepo options
+             * @param {string} filePath - The relative path of the file
+             * @returns {Object} - The file record
+             */
+            function serializeRecord(options, filePath) {
+                serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', force: true, maxFileSize: LIMIT, ...options });
+                const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+                return files.find(file => file.path === filePath);
+            }
+
+            beforeEach(() => {
+                fs.writeFileSync(path.join(tmpDir.name, 'large.log.txt'), 'a'.repeat(5000) + 'b'.repeat(5000));
+            });
+
+            test('keeps the head of larger files', () => {
+                const record = serializeRecord({ truncate: 'head' }, 'large.log.txt');
+
+                expect(record.size).toBe(10000);
+                expect(record.truncated).toBe(1808);
+                expect(record.content).toBe('a'.repeat(5000) + 'b'.repeat(3192) + '\n[... truncated 1808 bytes ...]\n');
+            });
+
+            test('keeps the tail of larger files', () => {
+                const record = serializeRecord({ truncate: 'tail' }, 'large.log.txt');
+
+                expect(record.truncated).toBe(1808);
+                expect(record.content).toBe('[... truncated 1808 bytes ...]\n' + 'a'.repeat(3192) + 'b'.repeat(5000));
+            });
+
+            test('keeps the head and tail of larger files', () => {
+                const record = serializeRecord({ truncate: 'head+tail' }, 'large.log.txt');
+
+                expect(record.truncated).toBe(1808);
+                expect(record.content).toBe('a'.repeat(4096) + '\n[... truncated 1808 bytes ...]\n' + 'b'.repeat(4096));
+            });
+
+            test('leaves files within the limit untouched', () => {
+                const record = serializeRecord({ truncate: 'head' }, 'file1.txt');
+
+                expect(record.content).toBe('Content of file 1');
+                expect(record).not.toHaveProperty('truncated');
+            });
+
+            test('cuts on UTF-8 character boundaries', () => {
+                fs.writeFileSync(path.join(tmpDir.name, 'large.log.txt'), 'x' + '\u00e9'.repeat(600));
+                const head = serializeRecord({ truncate: 'head', maxFileSize: MIN_FILE_SIZE }, 'large.log.txt');
+                expect(head.content).toBe('x' + '\u00e9'.repeat(255) + '\n[... truncated 690 bytes ...]\n');
+                expect(head.encoding.status).toBe('valid');
+
+                fs.writeFileSync(path.join(tmpDir.name, 'large.log.txt'), '\u00e9'.repeat(600) + 'x');
+                const tail = serializeRecord({ truncate: 'tail', maxFileSize: MIN_FILE_SIZE }, 'large.log.txt');
+                expect(tail.content).toBe('[... truncated 690 bytes ...]\n' + '\u00e9'.repeat(255) + 'x');
+                expect(tail.encoding.status).toBe('valid');
+            });
+
+            test('marks truncated files in the text format', () => {
+                serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, maxFileSize: LIMIT, truncate: 'head+tail' });
+
+                const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+                expect(content).toContain('START OF FILE: large.log.txt');
+                expect(content).toContain('a'.repeat(4096) + '\n[... truncated 1808 bytes ...]\n' + 'b'.repeat(4096));
+            });
+
+            test('continues the line numbers of the tail after the lines left out', () => {
+                fs.writeFileSync(path.join(tmpDir.name, 'large.log.txt'), Array.from({ length: 2000 }, (_, index) => `${String(index).padStart(4, '0')}\n`).join(''));
+
+                const lines = serializeRecord({ truncate: 'head+tail', lineNumbers: true }, 'large.log.txt').content.split('\n');
+
+                expect(lines.slice(0, 2)).toEqual(['   1 | 0000', '   2 | 0001']);
+                // The cuts fall inside line 820 and right before the newline ending line 1181
+                expect(lines.slice(819, 824)).toEqual([' 820 | 0', '[... truncated 1808 bytes ...]', '1181 |', '1182 | 1181', '1183 | 1182']);
+                expect(lines.slice(-2)).toEqual(['2000 | 1999', '']);
+            });
+
+            test('hashes the whole file when only part of it is serialized', () => {
+                const record = serializeRecord({ truncate: 'head', fileMetadata: true }, 'large.log.txt');
+
+                expect(record.hash).toBe(crypto.createHash('sha256').update('a'.repeat(5000) + 'b'.repeat(5000)).digest('hex').slice(0, 12));
+            });
+
+            test('throws error for invalid truncate modes', () => {
+                expect(() => serializeRepo({
+                    repoRoot: tmpDir.name,
+                    outputDir: outputDir.name,
+                    truncate: 'middle'
+                })).toThrow('Invalid truncate mode: middle. Supported modes: head, tail, head+tail');
+            });
+        });
+    });
+
+    describe('include patterns', () => {
+        /**
+         * Tests the include allowlist:
+         * - Only matching files are serialized
+         * - Ignore rules still apply to included files
+         * - The structure tree is pruned to the included files
+         */
+
+        beforeEach(() => {
+            fs.mkdirSync(path.join(tmpDir.name, 'src', 'lib'), { recursive: true });
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'lib', 'util.ts'), 'export const util = 1;');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'lib', 'util.test.ts'), 'test util');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'main.ts'), 'main();');
+            fs.mkdirSync(path.join(tmpDir.name, 'docs', 'guide'), { recursive: true });
+            fs.writeFileSync(path.join(tmpDir.name, 'docs', 'guide', 'intro.md'), '# Intro');
+            fs.writeFileSync(path.join(tmpDir.name, 'docs', 'notes.txt'), 'notes');
+            fs.mkdirSync(path.join(tmpDir.name, 'assets'));
+            fs.writeFileSync(path.join(tmpDir.name, 'assets', 'logo.svg'), '<svg/>');
+            fs.writeFileSync(path.join(tmpDir.name, 'ignored.md'), '# Ignored by .gitignore');
+            fs.appendFileSync(path.join(tmpDir.name, '.gitignore'), '\nignored.md\n*.test.ts');
+        });
+
+        test('serializes only files matching the include patterns', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                includePatterns: ['src/**/*.ts', 'docs/**/*.md']
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            const files = content.match(/START OF FILE: [^\n]+/g).map(match => match.replace('START OF FILE: ', ''));
+            expect(files).toEqual(['docs/guide/intro.md', 'src/lib/util.ts', 'src/main.ts']);
+        });
+
+        test('still applies .gitignore and default patterns to included files', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                includePatterns: ['*.md', '*.ts', '.gitignore']
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content).toContain('FILE: src/main.ts');
+            expect(content).not.toContain('FILE: ignored.md');
+            expect(content).not.toContain('FILE: src/lib/util.test.ts');
+            expect(content).not.toContain('FILE: .gitignore');
+        });
+
+        test('prunes the structure tree to included files', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                includePatterns: ['src/**/*.ts', 'docs/**/*.md'],
+                tokenizer: 'chars'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure).toBe([
+                `${path.basename(tmpDir.name)}/`,
+                '├── docs/',
+                '│   └── guide/',
+                '│       └── intro.md (2 tokens)',
+                '└── src/',
+                '    ├── lib/',
+                '    │   └── util.ts (6 tokens)',
+                '    └── main.ts (2 tokens)',
+                ''
+            ].join('\n'));
+        });
+
+        test('logs files that are not included when verbose is enabled', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                includePatterns: ['docs/'],
+                verbose: true
+            });
+
+            expect(consoleSpy).toHaveBeenCalledWith('Adding file: docs/notes.txt');
+            expect(consoleSpy).toHaveBeenCalledWith('Not included: file1.txt');
+            expect(consoleSpy).toHaveBeenCalledWith('Not included: assets/logo.svg');
+        });
+    });
+
+    describe('output formats', () => {
+        /**
+         * Tests the selectable output formats:
+         * - Default file names per format
+         * - JSON structure tree and file records
+         * - Format validation
+         */
+
+        test('writes a nested JSON tree and file records with the json format', () => {
+            /**
+             * Verifies that the json format writes a parseable structure tree
+             * and an array of file records with metadata and content
+             */
+
+            fs.writeFileSync(path.join(tmpDir.name, 'lines.txt'), 'one\ntwo\nthree\n');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'json'
+            });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree).toMatchObject({ name: path.basename(tmpDir.name), path: '', type: 'directory' });
+            expect(tree.children.map(child => child.name)).toEqual(['src', 'file1.txt', 'lines.txt']);
+            expect(tree.children[0]).toEqual({
+                name: 'src',
+                path: 'src',
+                type: 'directory',
+                children: [{ name: 'file2.js', path: 'src/file2.js', type: 'file', tokens: 6 }]
+            });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files.map(file => file.path)).toEqual(['src/file2.js', 'file1.txt', 'lines.txt']);
+            expect(files[2]).toEqual({
+                path: 'lines.txt',
+                size: 14,
+                lines: 3,
+                tokens: 4,
+                encoding: { name: 'utf-8', status: 'valid', replacementCharacters: 0 },
+                content: 'one\ntwo\nthree\n'
+            });
+        });
+
+        test('records replacement characters in the encoding status', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'invalid.txt'), Buffer.from([0x61, 0xff, 0x62]));
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                maxReplacementRatio: 0.5
+            });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            const record = files.find(file => file.path === 'invalid.txt');
+            expect(record.encoding).toEqual({ name: 'utf-8', status: 'replaced', replacementCharacters: 1 });
+            expect(record.content).toBe('ab');
+        });
+
+        test('keeps custom file names with the json format', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                structureFile: 'tree.json',
+                contentFile: 'files.json',
+                format: 'json'
+            });
+
+            expect(fs.existsSync(path.join(outputDir.name, 'tree.json'))).toBe(true);
+            expect(fs.existsSync(path.join(outputDir.name, 'files.json'))).toBe(true);
+        });
+
+        test('writes Markdown documents with the markdown format', () => {
+            /**
+             * Verifies that the markdown format writes .md files with the tree
+             * at the top of the content file and a fenced block per file
+             */
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'markdown'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.md'), 'utf-8');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.md'), 'utf-8');
+            expect(structure).toContain('```text\n' + path.basename(tmpDir.name) + '/\n');
+            expect(content.startsWith(structure)).toBe(true);
+            expect(content).toContain('## src/file2.js\n\n```javascript\nconsole.log("Hello");\n```');
+            expect(content).toContain('## file1.txt\n\n```\nContent of file 1\n```');
+        });
+
+        test('writes XML-tagged documents with the xml format', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'fixture.txt'), 'before</document_content>after');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'xml'
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.xml'), 'utf-8');
+            expect(content).toContain('<source>file1.txt</source>\n<document_content>\nContent of file 1\n</document_content>');
+            expect(content).toContain('before&lt;/document_content&gt;after');
+            expect(fs.existsSync(path.join(outputDir.name, 'repo_structure.xml'))).toBe(true);
+        });
+
+        test('writes well-formed XML for files with control characters', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'pages.txt'), 'page one\fpage two\u000bend\n');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'xml' });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.xml'), 'utf-8');
+            expect(content).toContain('<document_content>\npage one\uFFFDpage two\uFFFDend\n\n</document_content>');
+            expect(content).not.toMatch(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+        });
+
+        test('numbers the lines of file content in every format', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'lines.txt'), 'one\n\nthree\n');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', lineNumbers: true });
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files.find(file => file.path === 'lines.txt')).toMatchObject({ lines: 3, lineNumbers: true, content: '1 | one\n2 |\n3 | three\n' });
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'markdown', lineNumbers: true });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_content.md'), 'utf-8')).toContain('## file1.txt (line numbers)\n\n```\n1 | Content of file 1\n```');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'xml', lineNumbers: true });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_content.xml'), 'utf-8')).toContain('<document index="1" line_numbers="true">\n<source>src/file2.js</source>\n<document_content>\n1 | console.log("Hello");\n</document_content>');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, lineNumbers: true });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8')).toContain(`START OF FILE: lines.txt\nLINE NUMBERS: yes\n${'-'.repeat(60)}\n1 | one\n2 |\n3 | three\n`);
+        });
+
+        test('records file metadata in the text and json formats', () => {
+            const modified = new Date('2026-01-31T12:00:00.500Z');
+            fs.utimesSync(path.join(tmpDir.name, 'src', 'file2.js'), modified, modified);
+            const hash = crypto.createHash('sha256').update('console.log("Hello");').digest('hex').slice(0, 12);
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, fileMetadata: true });
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content).toContain(`START OF FILE: src/file2.js\nMETADATA: size=21 lines=1 language=javascript modified=2026-01-31T12:00:00Z hash=${hash}\n`);
+            expect(content).toMatch(/START OF FILE: file1\.txt\nMETADATA: size=17 lines=1 modified=\S+ hash=[0-9a-f]{12}\n/);
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', fileMetadata: true });
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files[0]).toMatchObject({ path: 'src/file2.js', size: 21, lines: 1, language: 'javascript', modified: '2026-01-31T12:00:00Z', hash });
+        });
+
+        test('leaves file metadata out unless it is enabled', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json' });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files[0]).not.toHaveProperty('hash');
+            expect(files[0]).not.toHaveProperty('modified');
+        });
+
+        test('starts every part of a split content file with its own table of contents', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'large.txt'), 'line\n'.repeat(300));
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, toc: true, split: '1KB' });
+
+            const { parts } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.index.json'), 'utf-8'));
+            for (const part of parts) {
+                const lines = fs.readFileSync(path.join(outputDir.name, part), 'utf-8').split('\n');
+                expect(lines[0]).toBe('TABLE OF CONTENTS');
+                expect(Buffer.byteLength(lines.join('\n'))).toBeLessThanOrEqual(1024);
+                for (const entry of lines.slice(1, lines.indexOf(''))) {
+                    const [, number, filePath] = entry.match(/^ *(\d+) {2}(\S+)/);
+                    expect(lines[number - 1]).toMatch(new RegExp(`^(START|CONTINUATION) OF FILE: ${filePath}$`));
+                }
+            }
+        });
+
+        test('throws error for a table of contents in the json format', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                toc: true
+            })).toThrow('The json format does not support a table of contents');
+        });
+
+        test('throws error for unknown delimiter styles', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                delimiter: 'random'
+            })).toThrow('Invalid delimiter style: random. Supported styles: fixed, boundary');
+        });
+
+        test('throws error for unknown formats', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'yaml'
+            })).toThrow('Invalid output format: yaml. Supported formats: text, json, markdown, xml');
+        });
+    });
+
+    describe('token counts', () => {
+        /**
+         * Tests token counting:
+         * - Per-file counts in the content records and structure tree
+         * - The total in the console summary
+         * - The maxTokens guard
+         */
+
+        // Counts words, so expected totals are easy to work out
+        const words = text => text.split(/\s+/).filter(Boolean).length;
+
+        test('records per-file token counts for serialized files only', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'binary.bin'), Buffer.from([0x00, 0x01, 0x02]));
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                tokenizer: words
+            });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree.children.find(child => child.name === 'file1.txt').tokens).toBe(4);
+            expect(tree.children.find(child => child.name === 'binary.bin')).not.toHaveProperty('tokens');
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.json'), 'utf-8'));
+            expect(files.map(file => [file.path, file.tokens])).toEqual([['src/file2.js', 1], ['file1.txt', 4]]);
+        });
+
+        test('logs the total tokens of the content file', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                tokenizer: words
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(consoleSpy).toHaveBeenCalledWith(`Total: 2 files, ${words(content)} tokens (words)`);
+        });
+
+        test('does not log the total when silent', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                silent: true
+            });
+
+            expect(consoleSpy.mock.calls.filter(call => call[0].startsWith('Total:'))).toEqual([]);
+        });
+
+        test('fails without writing output when maxTokens is exceeded', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                tokenizer: words,
+                maxTokens: 5
+            })).toThrow(/^Content has \d+ tokens \(words\), more than max tokens 5$/);
+            expect(fs.readdirSync(outputDir.name)).toEqual([]);
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                tokenizer: words,
+                maxTokens: 1000
+            });
+            expect(fs.existsSync(path.join(outputDir.name, 'repo_content.txt'))).toBe(true);
+        });
+
+        test('throws error for invalid maxTokens', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                maxTokens: 0
+            })).toThrow('Max tokens must be a positive integer');
+        });
+    });
+
+    describe('budget', () => {
+        /**
+         * Tests packing files into a token or byte budget:
+         * - Budget parsing
+         * - Files that do not fit are omitted and listed in the structure
+         * - Priority patterns
+         */
+
+        // Counts words, so expected totals are easy to work out
+        const words = text => text.split(/\s+/).filter(Boolean).length;
+
+        beforeEach(() => {
+            fs.writeFileSync(path.join(tmpDir.name, 'README.md'), '# Demo project readme');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'big.js'), 'word '.repeat(50));
+        });
+
+        test('parses token and byte budgets', () => {
+            expect(parseBudget(100000)).toEqual({ limit: 100000, unit: 'tokens' });
+            expect(parseBudget('2000 tokens')).toEqual({ limit: 2000, unit: 'tokens' });
+            expect(parseBudget('512KB')).toEqual({ limit: 512 * 1024, unit: 'bytes' });
+            expect(() => parseBudget('lots')).toThrow('Invalid budget: lots. Use a token count such as 100000 or a size such as 512KB');
+            expect(() => parseBudget(0)).toThrow('Invalid budget: 0');
+        });
+
+        test('keeps the highest priority files that fit a token budget', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                tokenizer: words,
+                budget: 40,
+                verbose: true
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content.match(/START OF FILE: [^\n]+/g)).toEqual(['START OF FILE: src/file2.js', 'START OF FILE: README.md']);
+            expect(words(content)).toBeLessThanOrEqual(40);
+            expect(structure).toContain('└── README.md (4 tokens)\n\nOmitted files (over budget):\n- file1.txt\n- src/big.js\n');
+            expect(consoleSpy).toHaveBeenCalledWith('Omitted (over budget): src/big.js');
+            expect(consoleSpy).toHaveBeenCalledWith('Budget: kept 2 of 4 files within 40 tokens');
+        });
+
+        test('fits a byte budget', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'big.js'), 'x'.repeat(2000));
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'json',
+                budget: '1KB'
+            });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.json'));
+            expect(tree.omitted).toEqual(['src/big.js']);
+            expect(JSON.parse(content).files.map(file => file.path)).toEqual(['src/file2.js', 'file1.txt', 'README.md']);
+            expect(content.length).toBeLessThanOrEqual(1024);
+        });
+
+        test('packs files matching priority patterns first', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                tokenizer: words,
+                budget: 70,
+                priorityPatterns: ['src/big.js']
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content.match(/START OF FILE: [^\n]+/g)).toEqual(['START OF FILE: src/big.js']);
+        });
+
+        test('lists omitted files in formats that embed the structure', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'big.js'), 'x'.repeat(2000));
+
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                format: 'markdown',
+                budget: '1KB'
+            });
+
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.md'), 'utf-8');
+            expect(content).toContain('```text\nOmitted files (over budget):\n- src/big.js\n```');
+            expect(content).not.toContain('## src/big.js');
+        });
+
+        test('lists no omitted files when everything fits', () => {
+            serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                budget: '1MB'
+            });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure).toContain('Omitted files (over budget):\n(none)\n');
+        });
+
+        test('throws error for invalid budgets before writing output', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                budget: '-5'
+            })).toThrow('Invalid budget: -5');
+            expect(fs.readdirSync(outputDir.name)).toEqual([]);
+        });
+    });
+
+    describe('serializer ignore files', () => {
+        /**
+         * Tests .repo-serializer-ignore and .serializerignore files:
+         * - Patterns apply at every level, relative to their directory
+         * - Negations re-include files excluded by .gitignore
+         * - They apply even when .gitignore files are not processed
+         */
+
+        /**
+         * Serializes the repository and returns the structure file
+         * @param {Object} [options] - Additional serializeRepo options
+         * @returns {string} - The structure file
+         */
+        function serializeStructure(options = {}) {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, force: true, ...options });
+            return fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+        }
+
+        test('ignores files matching patterns at every level', () => {
+            fs.writeFileSync(path.join(tmpDir.name, '.repo-serializer-ignore'), 'file1.txt\n');
+            fs.mkdirSync(path.join(tmpDir.name, 'src', 'generated'));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'generated', 'schema.js'), 'module.exports = {};');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', '.repo-serializer-ignore'), '/generated/\n');
+
+            const structure = serializeStructure();
+
+            expect(structure).not.toContain('file1.txt');
+            expect(structure).not.toContain('generated');
+            expect(structure).toContain('file2.js');
+            const content = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(content).not.toContain('module.exports');
+        });
+
+        test('re-includes files excluded by .gitignore', () => {
+            fs.writeFileSync(path.join(tmpDir.name, '.serializerignore'), '!test.log\n');
+
+            const structure = serializeStructure();
+
+            expect(structure).toContain('test.log');
+            expect(structure).not.toContain('ignored.txt');
+        });
+
+        test('applies patterns when .gitignore files are not processed', () => {
+            fs.writeFileSync(path.join(tmpDir.name, '.repo-serializer-ignore'), '*.log\n');
+
+            const structure = serializeStructure({ noGitignore: true });
+
+            expect(structure).toContain('ignored.txt');
+            expect(structure).not.toContain('test.log');
+        });
+
+        test('logs the files patterns are read from in verbose mode', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'src', '.serializerignore'), '*.tmp\n');
+
+            serializeStructure({ verbose: true });
+
+            expect(console.log).toHaveBeenCalledWith('Added serializer ignore patterns from: src/.serializerignore');
+        });
+    });
+
+    describe('symbolic links and special files', () => {
+        /**
+         * Tests the symlinks option and special files:
+         * - Links to directories are listed with their targets, left out or followed
+         * - Links to files are serialized unless they are left out
+         * - Following stops at broken links and links back into a parent directory
+         * - FIFOs are always skipped
+         */
+
+        // Creating symbolic links and FIFOs needs privileges or tools Windows lacks
+        const unixTest = process.platform === 'win32' ? test.skip : test;
+
+        beforeEach(() => {
+            if (process.platform === 'win32') return;
+            fs.symlinkSync(path.join('src', 'file2.js'), path.join(tmpDir.name, 'link.js'));
+            fs.symlinkSync('src', path.join(tmpDir.name, 'docs'));
+        });
+
+        /**
+         * Serializes the repository and returns the structure and content files
+         * @param {Object} [options] - Additional serializeRepo options
+         * @returns {{structure: string, content: string}} - The output files
+         */
+        function serialize(options = {}) {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, force: true, tokenizer: 'chars', ...options });
+            return {
+                structure: fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8'),
+                content: fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8'),
+            };
+        }
+
+        unixTest('lists links to directories with their targets and serializes links to files by default', () => {
+            fs.symlinkSync('missing.js', path.join(tmpDir.name, 'broken.js'));
+
+            const { structure, content } = serialize();
+
+            expect(structure).toContain('├── docs -> src\n');
+            expect(structure).toContain('├── broken.js -> missing.js\n');
+            expect(structure).toContain('└── link.js -> src/file2.js (6 tokens)\n');
+            expect(content).toContain('START OF FILE: link.js\n' + '-'.repeat(60) + '\nconsole.log("Hello");');
+            expect(content).not.toContain('START OF FILE: docs/');
+            expect(content).not.toContain('START OF FILE: broken.js');
+        });
+
+        unixTest('records links in the json structure', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json' });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree.children).toContainEqual({ name: 'docs', path: 'docs', type: 'symlink', target: 'src' });
+            expect(tree.children).toContainEqual({ name: 'link.js', path: 'link.js', type: 'file', target: 'src/file2.js', tokens: 6 });
+        });
+
+        unixTest('leaves links out in skip mode', () => {
+            const { structure } = serialize({ symlinks: 'skip', verbose: true });
+
+            expect(structure).not.toContain('link.js');
+            expect(structure).not.toContain('docs');
+            expect(console.log).toHaveBeenCalledWith('Skipping symbolic link: link.js -> src/file2.js');
+        });
+
+        unixTest('serializes what links point to in follow mode', () => {
+            const { structure, content } = serialize({ symlinks: 'follow' });
+
+            expect(structure).toContain('├── docs/ -> src\n│   └── file2.js (6 tokens)\n');
+            expect(structure).toContain('link.js -> src/file2.js');
+            expect(content).toContain('START OF FILE: docs/file2.js');
+            expect(content).toContain('START OF FILE: link.js\n' + '-'.repeat(60) + '\nconsole.log("Hello");');
+        });
+
+        unixTest('stops following at links back into a parent directory and broken links', () => {
+            fs.symlinkSync('..', path.join(tmpDir.name, 'src', 'loop'));
+            fs.symlinkSync('missing.js', path.join(tmpDir.name, 'broken.js'));
+
+            const { structure } = serialize({ symlinks: 'follow' });
+
+            expect(structure).toContain('loop -> ..');
+            expect(structure).toContain('broken.js -> missing.js');
+            expect(console.log).toHaveBeenCalledWith('Not following symbolic link back into a parent directory: src/loop -> ..');
+            expect(console.log).toHaveBeenCalledWith('Not following symbolic link back into a parent directory: docs/loop -> ..');
+            expect(console.log).toHaveBeenCalledWith('Not following broken symbolic link: broken.js -> missing.js');
+        });
+
+        unixTest('skips FIFOs with a logged reason', () => {
+            execFileSync('mkfifo', [path.join(tmpDir.name, 'pipe')]);
+
+            const { structure } = serialize();
+
+            expect(structure).not.toContain('pipe');
+            expect(console.log).toHaveBeenCalledWith('Skipping FIFO: pipe');
+        });
+
+        test('throws error for invalid symlinks modes', () => {
+            expect(() => serializeRepo({
+                repoRoot: tmpDir.name,
+                outputDir: outputDir.name,
+                symlinks: 'copy'
+            })).toThrow('Invalid symlinks mode: copy. Supported modes: skip, list, follow');
+        });
+    });
+
+    describe('annotated structure', () => {
+        /**
+         * Tests annotating the structure tree:
+         * - Sizes, line and token counts of files, and totals of directories
+         * - Reasons files were left out of the content file: binary, too large, encoding error and over budget
+         * - Annotations in the json structure tree
+         * - Token counts alone in a tree that is not annotated
+         */
+
+        beforeEach(() => {
+            fs.writeFileSync(path.join(tmpDir.name, 'lines.txt'), 'one\ntwo\nthree\n');
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'logo.png'), Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'large.txt'), 'x'.repeat(10000));
+            // Bytes that are neither UTF-8, Shift-JIS nor windows-1252, without NUL bytes or a known signature
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'garbled.txt'), Buffer.from('a\x81\xffb'.repeat(20), 'latin1'));
+        });
+
+        test('annotates files and directories in the text structure', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, annotate: true, tokenizer: 'chars', maxFileSize: 8192 });
+
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toBe([
+                `${path.basename(tmpDir.name)}/ (6 files, 9.9KB, 5 lines, 15 tokens)`,
+                '├── src/ (4 files, 9.9KB, 1 line, 6 tokens)',
+                '│   ├── file2.js (21B, 1 line, 6 tokens)',
+                '│   ├── garbled.txt (80B) [skipped: encoding error]',
+                '│   ├── large.txt (9.8KB) [skipped: too large]',
+                '│   └── logo.png (16B) [skipped: binary]',
+                '├── file1.txt (17B, 1 line, 5 tokens)',
+                '└── lines.txt (14B, 3 lines, 4 tokens)',
+                ''
+            ].join('\n'));
+        });
+
+        test('marks files left out to fit the budget', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, annotate: true, tokenizer: 'chars', budget: 100, priorityPatterns: ['lines.txt'] });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure).toContain('├── src/ (4 files, 9.9KB, 0 lines, 0 tokens)');
+            expect(structure).toContain('│   ├── file2.js (21B, 6 tokens) [skipped: over budget]');
+            expect(structure).toContain('└── lines.txt (14B, 3 lines, 4 tokens)');
+        });
+
+        test('marks files of random bytes without NUL bytes as binary', () => {
+            const noise = Buffer.from(Array.from({ length: 4096 }, (_, index) => (index * 167 + 13) % 255 + 1));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'noise.dat'), noise);
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, annotate: true, tokenizer: 'chars' });
+
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8')).toContain('│   └── noise.dat (4KB) [skipped: binary]');
+        });
+
+        test('adds the annotations to the json structure tree', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', annotate: true, tokenizer: 'chars', maxFileSize: 8192 });
+
+            const tree = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_structure.json'), 'utf-8'));
+            expect(tree).toMatchObject({ files: 6, size: 10148, lines: 5, tokens: 15 });
+            expect(tree.children[0].children.map(({ name, size, lines, skipped }) => ({ name, size, lines, skipped }))).toEqual([
+                { name: 'file2.js', size: 21, lines: 1, skipped: undefined },
+                { name: 'garbled.txt', size: 80, lines: undefined, skipped: 'encoding error' },
+                { name: 'large.txt', size: 10000, lines: undefined, skipped: 'too large' },
+                { name: 'logo.png', size: 16, lines: undefined, skipped: 'binary' }
+            ]);
+        });
+
+        test('shows only the token counts of serialized files unless annotations are enabled', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, tokenizer: 'chars' });
+
+            const structure = fs.readFileSync(path.join(outputDir.name, 'repo_structure.txt'), 'utf-8');
+            expect(structure.split('\n')[0]).toBe(`${path.basename(tmpDir.name)}/`);
+            expect(structure).toContain('├── src/\n│   ├── file2.js (6 tokens)\n');
+            expect(structure).toContain('│   └── logo.png\n');
+            expect(structure).toContain('└── lines.txt (4 tokens)\n');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'markdown', tokenizer: 'chars' });
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_structure.md'), 'utf-8')).toContain('├── file1.txt (5 tokens)\n');
+        });
     });
 });
\ No newline at end of file
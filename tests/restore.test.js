@@ -0,0 +1,309 @@
+/**
+ * Tests for restoring a repository from a content snapshot
+ * These tests round-trip repositories through serializeRepo and deserializeRepo,
+ * and verify that malformed or malicious snapshots are rejected before anything is written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { serializeRepo, deserializeRepo, parseContentFile } = require('../src/index');
+const { wrapWithSeparators } = require('../src/formats');
+
+describe('restore', () => {
+    let tmpDir;
+    let outputDir;
+    let restoreDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+        restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+        fs.writeFileSync(path.join(tmpDir.name, 'file1.txt'), 'Content of file 1');
+        fs.mkdirSync(path.join(tmpDir.name, 'src', 'nested'), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir.name, 'src', 'file2.js'), 'console.log("Hello");\n');
+        fs.writeFileSync(path.join(tmpDir.name, 'src', 'nested', 'empty.txt'), '');
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+        outputDir.removeCallback();
+        restoreDir.removeCallback();
+    });
+
+    /**
+     * Writes a snapshot made of the given blocks and returns its path
+     * @param {string} text - The snapshot text
+     * @returns {string} - The snapshot path
+     */
+    function writeSnapshot(text) {
+        const snapshotPath = path.join(outputDir.name, 'snapshot.txt');
+        fs.writeFileSync(snapshotPath, text);
+        return snapshotPath;
+    }
+
+    describe('parseContentFile', () => {
+        test('parses file blocks back into paths and contents', () => {
+            const text = [
+                wrapWithSeparators('a.txt', 'alpha\n'),
+                wrapWithSeparators('dir/b.txt', ''),
+                wrapWithSeparators('c.txt', 'gamma')
+            ].join('').trimStart();
+
+            expect(parseContentFile(text)).toEqual([
+                { path: 'a.txt', content: 'alpha\n' },
+                { path: 'dir/b.txt', content: '' },
+                { path: 'c.txt', content: 'gamma' }
+            ]);
+        });
+
+        test('keeps separator lines that belong to another file', () => {
+            const inner = wrapWithSeparators('inner.txt', 'nested').trimStart();
+            const text = wrapWithSeparators('outer.txt', inner).trimStart();
+
+            expect(parseContentFile(text)).toEqual([{ path: 'outer.txt', content: inner }]);
+        });
+
+        test('splits boundary-delimited snapshots on the boundary token only', () => {
+            const fixed = wrapWithSeparators('fixture.txt', 'looks like the end').trimStart();
+            const text = 'BOUNDARY: abc123' +
+                wrapWithSeparators('fixture.txt', fixed, { boundary: 'abc123' }) +
+                wrapWithSeparators('b.txt', 'bee', { boundary: 'abc123' });
+
+            expect(parseContentFile(text)).toEqual([
+                { path: 'fixture.txt', content: fixed },
+                { path: 'b.txt', content: 'bee' }
+            ]);
+        });
+
+        test('marks chunks of files cut across the parts of a split snapshot', () => {
+            const text = [
+                wrapWithSeparators('a.txt', 'end of a', { chunk: { index: 2, last: true } }),
+                wrapWithSeparators('b.txt', 'start of b', { chunk: { index: 1, last: false } })
+            ].join('').trimStart();
+
+            expect(parseContentFile(text)).toEqual([
+                { path: 'a.txt', content: 'end of a', continuation: true },
+                { path: 'b.txt', content: 'start of b', continues: true }
+            ]);
+        });
+
+        test('marks files with numbered lines', () => {
+            const text = wrapWithSeparators('a.txt', '1 | alpha\n', { encoding: 'shift_jis', lineNumbers: true }).trimStart();
+
+            expect(parseContentFile(text)).toEqual([{ path: 'a.txt', content: '1 | alpha\n', lineNumbers: true }]);
+        });
+
+        test('parses the metadata line of a file', () => {
+            const metadata = 'METADATA: size=6 lines=1 language=javascript modified=2026-01-31T12:00:00Z hash=0123456789ab';
+            const text = wrapWithSeparators('a.js', 'alpha\n', { encoding: 'windows-1252', lineNumbers: true, metadata }).trimStart();
+
+            expect(parseContentFile(text)).toEqual([{
+                path: 'a.js',
+                content: 'alpha\n',
+                metadata: { size: 6, lines: 1, language: 'javascript', modified: '2026-01-31T12:00:00Z', hash: '0123456789ab' },
+                lineNumbers: true
+            }]);
+        });
+
+        test('skips the table of contents', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, toc: true, delimiter: 'boundary' });
+
+            const text = fs.readFileSync(path.join(outputDir.name, 'repo_content.txt'), 'utf-8');
+            expect(text).toContain('TABLE OF CONTENTS\n');
+            expect(parseContentFile(text).map(entry => entry.path)).toEqual(['src/nested/empty.txt', 'src/file2.js', 'file1.txt']);
+        });
+
+        test('returns no entries for an empty snapshot', () => {
+            expect(parseContentFile('')).toEqual([]);
+        });
+
+        test('throws error for malformed snapshots', () => {
+            expect(() => parseContentFile('hello\n')).toThrow('Invalid snapshot: expected START OF FILE at line 1');
+
+            const truncated = wrapWithSeparators('a.txt', 'alpha').trimStart().split('\n').slice(0, -2).join('\n');
+            expect(() => parseContentFile(truncated)).toThrow('Invalid snapshot: missing END OF FILE for a.txt');
+        });
+    });
+
+    describe('deserializeRepo', () => {
+        test('round-trips a serialized repository', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name });
+
+            const restored = deserializeRepo({
+                contentFile: path.join(outputDir.name, 'repo_content.txt'),
+                outputDir: restoreDir.name
+            });
+
+            expect(restored.sort()).toEqual(['file1.txt', 'src/file2.js', 'src/nested/empty.txt']);
+            expect(fs.readFileSync(path.join(restoreDir.name, 'file1.txt'), 'utf-8')).toBe('Content of file 1');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'src', 'file2.js'), 'utf-8')).toBe('console.log("Hello");\n');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'src', 'nested', 'empty.txt'), 'utf-8')).toBe('');
+        });
+
+        test('round-trips files that contain the fixed separators with boundary delimiters', () => {
+            // A committed snapshot whose own lines would end its block early with fixed separators
+            fs.writeFileSync(path.join(tmpDir.name, 'snapshot.txt'), wrapWithSeparators('snapshot.txt', 'fixture').trimStart() + '\ntrailer\n');
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, delimiter: 'boundary' });
+
+            deserializeRepo({
+                contentFile: path.join(outputDir.name, 'repo_content.txt'),
+                outputDir: restoreDir.name
+            });
+
+            expect(fs.readFileSync(path.join(restoreDir.name, 'snapshot.txt'), 'utf-8'))
+                .toBe(fs.readFileSync(path.join(tmpDir.name, 'snapshot.txt'), 'utf-8'));
+            expect(fs.readFileSync(path.join(restoreDir.name, 'file1.txt'), 'utf-8')).toBe('Content of file 1');
+        });
+
+        test('strips line numbers, also from files cut across parts', () => {
+            fs.writeFileSync(path.join(tmpDir.name, 'long.txt'), Array.from({ length: 300 }, (_, index) => `${index} | line`).join('\n'));
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, lineNumbers: true, split: '1KB' });
+
+            deserializeRepo({ contentFile: path.join(outputDir.name, 'repo_content.index.json'), outputDir: restoreDir.name });
+
+            for (const file of ['file1.txt', 'long.txt', 'src/file2.js', 'src/nested/empty.txt']) {
+                expect(fs.readFileSync(path.join(restoreDir.name, file), 'utf-8')).toBe(fs.readFileSync(path.join(tmpDir.name, file), 'utf-8'));
+            }
+        });
+
+        test('skips truncated files instead of overwriting them with what was kept', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+            fs.writeFileSync(path.join(tmpDir.name, 'large.txt'), 'x'.repeat(3059));
+            fs.writeFileSync(path.join(restoreDir.name, 'large.txt'), 'x'.repeat(3059));
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, maxFileSize: 1024, truncate: 'head' });
+            const contentFile = path.join(outputDir.name, 'repo_content.txt');
+
+            expect(fs.readFileSync(contentFile, 'utf-8')).toContain(`START OF FILE: large.txt\nTRUNCATED: 3059 bytes\n${'-'.repeat(60)}\n`);
+            expect(parseContentFile(fs.readFileSync(contentFile, 'utf-8')).find(entry => entry.path === 'large.txt')).toMatchObject({ truncatedFrom: 3059 });
+
+            const restored = deserializeRepo({ contentFile, outputDir: restoreDir.name, force: true });
+
+            expect(restored).not.toContain('large.txt');
+            expect(consoleSpy).toHaveBeenCalledWith('Skipping truncated file: large.txt (3059 bytes)');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'large.txt'), 'utf-8')).toBe('x'.repeat(3059));
+        });
+
+        test('uses current working directory as default for contentFile and outputDir', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: restoreDir.name });
+            jest.spyOn(process, 'cwd').mockReturnValue(restoreDir.name);
+
+            deserializeRepo({ force: true });
+
+            expect(fs.readFileSync(path.join(restoreDir.name, 'file1.txt'), 'utf-8')).toBe('Content of file 1');
+        });
+
+        test('lists files without writing them on a dry run', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+            fs.writeFileSync(path.join(restoreDir.name, 'a.txt'), 'old');
+            const snapshotPath = writeSnapshot(wrapWithSeparators('a.txt', 'new') + wrapWithSeparators('b.txt', 'bee'));
+
+            const restored = deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name, dryRun: true });
+
+            expect(restored).toEqual(['a.txt', 'b.txt']);
+            expect(consoleSpy).toHaveBeenCalledWith('Would restore: a.txt (3 bytes) [overwrite]');
+            expect(consoleSpy).toHaveBeenCalledWith('Would restore: b.txt (3 bytes)');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'a.txt'), 'utf-8')).toBe('old');
+            expect(fs.existsSync(path.join(restoreDir.name, 'b.txt'))).toBe(false);
+        });
+
+        test('restores into the root of a filesystem', () => {
+            const root = path.parse(restoreDir.name).root;
+            const relativePath = path.relative(root, path.join(restoreDir.name, 'a.txt')).split(path.sep).join('/');
+            const snapshotPath = writeSnapshot(wrapWithSeparators(relativePath, 'new'));
+
+            expect(deserializeRepo({ contentFile: snapshotPath, outputDir: root, dryRun: true })).toEqual([relativePath]);
+        });
+
+        test('refuses to overwrite existing files unless forced', () => {
+            fs.writeFileSync(path.join(restoreDir.name, 'a.txt'), 'old');
+            const snapshotPath = writeSnapshot(wrapWithSeparators('a.txt', 'new'));
+
+            expect(() => deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name }))
+                .toThrow('Files already exist in target directory. Set force=true to overwrite.');
+            expect(() => deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name, isCliCall: true }))
+                .toThrow('PROMPT_REQUIRED');
+            expect(fs.readFileSync(path.join(restoreDir.name, 'a.txt'), 'utf-8')).toBe('old');
+
+            deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name, force: true });
+            expect(fs.readFileSync(path.join(restoreDir.name, 'a.txt'), 'utf-8')).toBe('new');
+        });
+
+        test('logs every restored file when verbose is enabled', () => {
+            const consoleSpy = jest.spyOn(console, 'log');
+            const snapshotPath = writeSnapshot(wrapWithSeparators('a.txt', 'new'));
+
+            deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name, verbose: true });
+
+            expect(consoleSpy).toHaveBeenCalledWith('Restoring: a.txt');
+            expect(consoleSpy).toHaveBeenCalledWith(`Restored 1 files to: ${path.resolve(restoreDir.name)}`);
+        });
+
+        test('throws error for chunks without the rest of their file', () => {
+            const start = wrapWithSeparators('a.txt', 'start', { chunk: { index: 1, last: false } });
+            const end = wrapWithSeparators('a.txt', 'end', { chunk: { index: 2, last: true } });
+
+            expect(() => deserializeRepo({ contentFile: writeSnapshot(start), outputDir: restoreDir.name }))
+                .toThrow('Invalid snapshot: missing continuation of a.txt');
+            expect(() => deserializeRepo({ contentFile: writeSnapshot(start + wrapWithSeparators('b.txt', 'bee')), outputDir: restoreDir.name }))
+                .toThrow('Invalid snapshot: missing continuation of a.txt');
+            expect(() => deserializeRepo({ contentFile: writeSnapshot(end), outputDir: restoreDir.name }))
+                .toThrow('Invalid snapshot: continuation of a.txt without its start');
+
+            deserializeRepo({ contentFile: writeSnapshot(start + end), outputDir: restoreDir.name });
+            expect(fs.readFileSync(path.join(restoreDir.name, 'a.txt'), 'utf-8')).toBe('startend');
+        });
+
+        test.each([
+            '../escape.txt',
+            'nested/../../escape.txt',
+            '/etc/passwd',
+            'C:/Windows/evil.txt',
+            '.',
+            ''
+        ])('rejects path traversal through %j before writing anything', (maliciousPath) => {
+            const snapshotPath = writeSnapshot(wrapWithSeparators('safe.txt', 'ok') + wrapWithSeparators(maliciousPath, 'evil'));
+
+            expect(() => deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name }))
+                .toThrow(`Refusing to restore path outside target directory: ${maliciousPath}`);
+            expect(fs.existsSync(path.join(restoreDir.name, 'safe.txt'))).toBe(false);
+        });
+
+        test.each([
+            '../outside.txt',
+            'nested/part1.txt',
+            'nested\\part1.txt',
+            'C:part1.txt',
+            '..'
+        ])('rejects index files that name part %j outside their directory', (part) => {
+            const indexPath = path.join(outputDir.name, 'repo_content.index.json');
+            fs.writeFileSync(indexPath, JSON.stringify({ parts: [part], files: {} }));
+
+            expect(() => deserializeRepo({ contentFile: indexPath, outputDir: restoreDir.name }))
+                .toThrow(`Invalid snapshot index: part ${JSON.stringify(part)} is not a file name`);
+        });
+
+        // Creating symbolic links needs privileges Windows lacks
+        const unixTest = process.platform === 'win32' ? test.skip : test;
+
+        unixTest('rejects paths through symbolic links in the target directory before writing anything', () => {
+            const outside = tmp.dirSync({ unsafeCleanup: true });
+            fs.symlinkSync(outside.name, path.join(restoreDir.name, 'lnk'));
+            fs.symlinkSync(path.join(outside.name, 'file.txt'), path.join(restoreDir.name, 'file.txt'));
+
+            for (const linkedPath of ['lnk/pwned.txt', 'file.txt']) {
+                const snapshotPath = writeSnapshot(wrapWithSeparators('safe.txt', 'ok') + wrapWithSeparators(linkedPath, 'evil'));
+
+                expect(() => deserializeRepo({ contentFile: snapshotPath, outputDir: restoreDir.name, force: true }))
+                    .toThrow(`Refusing to restore path through symbolic link: ${linkedPath}`);
+            }
+            expect(fs.readdirSync(outside.name)).toEqual([]);
+            expect(fs.existsSync(path.join(restoreDir.name, 'safe.txt'))).toBe(false);
+            outside.removeCallback();
+        });
+    });
+});
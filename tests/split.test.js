@@ -0,0 +1,206 @@
+/**
+ * Tests for splitting the content file into parts
+ * These tests verify how files are distributed over parts, how files larger than a part
+ * are cut into chunks, and the part and index files written by serializeRepo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { serializeRepo, deserializeRepo } = require('../src/index');
+const { OUTPUT_FORMATS } = require('../src/formats');
+const { findPartFiles, indexFileName, partFileName, splitIntoParts } = require('../src/split');
+
+describe('split', () => {
+    let tmpDir;
+    let outputDir;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        outputDir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(() => {
+        tmpDir.removeCallback();
+        outputDir.removeCallback();
+    });
+
+    const render = files => OUTPUT_FORMATS.text.renderContent(files, null, { delimiter: 'fixed' });
+    const file = (relativePath, content) => ({ path: relativePath, content });
+
+    describe('file names', () => {
+        test('numbers parts and names the index after the content file', () => {
+            expect(partFileName('repo_content.txt', 2)).toBe('repo_content.part2.txt');
+            expect(partFileName(path.join('out', 'content.md'), 10)).toBe(path.join('out', 'content.part10.md'));
+            expect(indexFileName('repo_content.txt')).toBe('repo_content.index.json');
+        });
+
+        test('finds the parts of an earlier split', () => {
+            for (const name of ['repo_content.part1.txt', 'repo_content.part12.txt', 'repo_content.partx.txt', 'repo_content.part1.md', 'other.part1.txt']) {
+                fs.writeFileSync(path.join(outputDir.name, name), '');
+            }
+
+            expect(findPartFiles(path.join(outputDir.name, 'repo_content.txt')).sort()).toEqual([
+                path.join(outputDir.name, 'repo_content.part1.txt'),
+                path.join(outputDir.name, 'repo_content.part12.txt')
+            ]);
+            expect(findPartFiles(path.join(outputDir.name, 'missing', 'repo_content.txt'))).toEqual([]);
+        });
+    });
+
+    describe('splitIntoParts', () => {
+        test('splits on file boundaries within the part size', () => {
+            const files = [file('a.txt', 'a'.repeat(100)), file('b.txt', 'b'.repeat(100)), file('c.txt', 'c'.repeat(100))];
+            const size = Buffer.byteLength(render(files.slice(0, 2)));
+
+            const parts = splitIntoParts(files, size, render);
+
+            expect(parts.map(part => part.files.map(entry => entry.path))).toEqual([['a.txt', 'b.txt'], ['c.txt']]);
+            expect(parts.map(part => part.content)).toEqual(parts.map(part => render(part.files)));
+            expect(parts.every(part => Buffer.byteLength(part.content) <= size)).toBe(true);
+        });
+
+        test('cuts files larger than a part into chunks', () => {
+            const lines = Array.from({ length: 120 }, (_, index) => `line ${index}`).join('\n') + '\n';
+            const files = [file('small.txt', 'small'), file('large.txt', lines), file('after.txt', 'after')];
+
+            const parts = splitIntoParts(files, 1000, render);
+
+            expect(parts.every(part => Buffer.byteLength(part.content) <= 1000)).toBe(true);
+            const chunks = parts.flatMap(part => part.files).filter(entry => entry.path === 'large.txt');
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks.map(chunk => chunk.content).join('')).toBe(lines);
+            expect(chunks.map(chunk => chunk.chunk)).toEqual(chunks.map((chunk, index) => ({ index: index + 1, last: index === chunks.length - 1 })));
+            // Chunks end on line breaks, and the last one shares its part with the next file
+            expect(chunks.slice(0, -1).every(chunk => chunk.content.endsWith('\n'))).toBe(true);
+            expect(parts[parts.length - 1].files.map(entry => entry.path)).toEqual(['large.txt', 'after.txt']);
+        });
+
+        test('keeps the line and token counts of a file on its first chunk only', () => {
+            const lines = Array.from({ length: 120 }, (_, index) => `line ${index}`).join('\n') + '\n';
+            const files = [{ ...file('large.txt', lines), lines: 120, tokens: 300 }];
+
+            const chunks = splitIntoParts(files, 1000, render).flatMap(part => part.files);
+
+            expect(chunks[0]).toMatchObject({ lines: 120, tokens: 300 });
+            expect(chunks.slice(1).every(chunk => chunk.lines === undefined && chunk.tokens === undefined)).toBe(true);
+        });
+
+        test('renders the first part whole only to check that it fits', () => {
+            const files = Array.from({ length: 50 }, (_, index) => file(`${index}.txt`, 'x'.repeat(100)));
+            const renderPart = jest.fn(partFiles => render(partFiles));
+
+            splitIntoParts(files, 2048, renderPart);
+
+            expect(renderPart.mock.calls.filter(([, number]) => number === 1).length).toBeLessThanOrEqual(3);
+        });
+
+        test('returns one empty part when there are no files', () => {
+            expect(splitIntoParts([], 100, render)).toEqual([{ files: [], content: render([]) }]);
+        });
+
+        test('throws error when a part cannot hold any content', () => {
+            expect(() => splitIntoParts([file('a.txt', 'abc')], 10, render))
+                .toThrow('Split size of 10 bytes is too small to hold any content of a.txt');
+        });
+    });
+
+    describe('serializeRepo', () => {
+        beforeEach(() => {
+            fs.writeFileSync(path.join(tmpDir.name, 'README.md'), '# Readme\n');
+            fs.mkdirSync(path.join(tmpDir.name, 'src'));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'large.js'), Array.from({ length: 300 }, (_, index) => `const value${index} = ${index};`).join('\n'));
+            fs.writeFileSync(path.join(tmpDir.name, 'src', 'small.js'), 'module.exports = {};\n');
+        });
+
+        test('writes numbered parts and an index mapping files to parts', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 2048 });
+
+            const index = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.index.json'), 'utf-8'));
+            expect(index.parts.length).toBeGreaterThan(2);
+            expect(index.parts[0]).toBe('repo_content.part1.txt');
+            expect(index.files['src/large.js'].length).toBeGreaterThan(1);
+            expect(index.files['README.md']).toEqual([index.parts[index.parts.length - 1]]);
+            expect(fs.existsSync(path.join(outputDir.name, 'repo_content.txt'))).toBe(false);
+
+            for (const part of index.parts) {
+                expect(fs.statSync(path.join(outputDir.name, part)).size).toBeLessThanOrEqual(2048);
+            }
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_content.part1.txt'), 'utf-8'))
+                .toContain('START OF FILE: src/large.js');
+            expect(fs.readFileSync(path.join(outputDir.name, 'repo_content.part2.txt'), 'utf-8'))
+                .toMatch(/^={60}\nCONTINUATION OF FILE: src\/large\.js\n/);
+        });
+
+        test('round-trips a split snapshot through its index file', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: '2KB', delimiter: 'boundary' });
+            const restoreDir = tmp.dirSync({ unsafeCleanup: true });
+
+            const restored = deserializeRepo({
+                contentFile: path.join(outputDir.name, 'repo_content.index.json'),
+                outputDir: restoreDir.name
+            });
+
+            expect(restored.sort()).toEqual(['README.md', 'src/large.js', 'src/small.js']);
+            for (const relativePath of restored) {
+                expect(fs.readFileSync(path.join(restoreDir.name, relativePath), 'utf-8'))
+                    .toBe(fs.readFileSync(path.join(tmpDir.name, relativePath), 'utf-8'));
+            }
+            restoreDir.removeCallback();
+        });
+
+        test('keeps the structure in the first part only in the markdown format', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'markdown', split: 4096 });
+
+            const first = fs.readFileSync(path.join(outputDir.name, 'repo_content.part1.md'), 'utf-8');
+            const second = fs.readFileSync(path.join(outputDir.name, 'repo_content.part2.md'), 'utf-8');
+            expect(first).toMatch(/^# /);
+            expect(first).toContain('## src/large.js (chunk 1, continued in next part)');
+            expect(second).toMatch(/^## src\/large\.js \(chunk 2/);
+        });
+
+        test('records chunks in the json format', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, format: 'json', split: 4096 });
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.part1.json'), 'utf-8'));
+            expect(files[0]).toMatchObject({ path: 'src/large.js', chunk: { index: 1, last: false } });
+        });
+
+        test('asks before overwriting earlier parts and removes parts left over', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 1024 });
+            const earlierParts = findPartFiles(path.join(outputDir.name, 'repo_content.txt')).length;
+            fs.rmSync(path.join(outputDir.name, 'repo_structure.txt'));
+            fs.rmSync(path.join(outputDir.name, 'repo_content.index.json'));
+
+            expect(() => serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 1024, isCliCall: true }))
+                .toThrow('PROMPT_REQUIRED');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 4096, force: true });
+            const index = JSON.parse(fs.readFileSync(path.join(outputDir.name, 'repo_content.index.json'), 'utf-8'));
+            expect(index.parts.length).toBeLessThan(earlierParts);
+            expect(findPartFiles(path.join(outputDir.name, 'repo_content.txt')).length).toBe(index.parts.length);
+        });
+
+        test('asks before replacing an unsplit content file and removes it', () => {
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name });
+            fs.rmSync(path.join(outputDir.name, 'repo_structure.txt'));
+
+            expect(() => serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 1024, isCliCall: true }))
+                .toThrow('PROMPT_REQUIRED');
+
+            serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 1024, force: true });
+            expect(fs.existsSync(path.join(outputDir.name, 'repo_content.txt'))).toBe(false);
+            expect(fs.existsSync(path.join(outputDir.name, 'repo_content.part1.txt'))).toBe(true);
+        });
+
+        test('throws error for invalid split sizes', () => {
+            expect(() => serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 0 }))
+                .toThrow('Split size must be greater than 0');
+            expect(() => serializeRepo({ repoRoot: tmpDir.name, outputDir: outputDir.name, split: 'big' }))
+                .toThrow('Invalid file size format: big');
+        });
+    });
+});
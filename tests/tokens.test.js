@@ -0,0 +1,87 @@
+/**
+ * Tests for token counting
+ * These tests verify how the tokenizer option is resolved, including the fallback
+ * to the chars/4 estimate when no tokenizer package is installed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const { resolveTokenizer, ESTIMATE_TOKENIZER } = require('../src/tokens');
+
+describe('resolveTokenizer', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(() => {
+        jest.resetModules();
+        tmpDir.removeCallback();
+    });
+
+    /**
+     * Loads the tokens module with gpt-tokenizer mocked
+     * @param {Function} factory - The module factory for gpt-tokenizer
+     * @returns {Object} - The tokens module
+     */
+    function loadWithDefaultTokenizer(factory) {
+        let tokens;
+        jest.isolateModules(() => {
+            jest.doMock('gpt-tokenizer', factory, { virtual: true });
+            tokens = require('../src/tokens');
+        });
+        return tokens;
+    }
+
+    test('estimates one token per four characters', () => {
+        expect(resolveTokenizer('chars')).toBe(ESTIMATE_TOKENIZER);
+        expect(ESTIMATE_TOKENIZER.count('')).toBe(0);
+        expect(ESTIMATE_TOKENIZER.count('abcd')).toBe(1);
+        expect(ESTIMATE_TOKENIZER.count('abcde')).toBe(2);
+    });
+
+    test('uses gpt-tokenizer when it is installed', () => {
+        const tokens = loadWithDefaultTokenizer(() => ({ encode: text => text.split(' ') }));
+        const tokenizer = tokens.resolveTokenizer();
+
+        expect(tokenizer.name).toBe('gpt-tokenizer');
+        expect(tokenizer.count('one two three')).toBe(3);
+    });
+
+    test('falls back to the estimate when gpt-tokenizer is not installed', () => {
+        const tokens = loadWithDefaultTokenizer(() => {
+            throw new Error("Cannot find module 'gpt-tokenizer'");
+        });
+
+        expect(tokens.resolveTokenizer('auto')).toBe(tokens.ESTIMATE_TOKENIZER);
+    });
+
+    test('accepts tokenizer functions and objects', () => {
+        const words = text => text.split(/\s+/).length;
+        expect(resolveTokenizer(words)).toEqual({ name: 'words', count: words });
+        expect(resolveTokenizer(text => text.length).name).toBe('custom');
+
+        const tokenizer = { name: 'letters', count: text => text.length };
+        expect(resolveTokenizer(tokenizer).count('abc')).toBe(3);
+    });
+
+    test('loads tokenizer modules by path', () => {
+        const modulePath = path.join(tmpDir.name, 'tokenizer.js');
+        fs.writeFileSync(modulePath, 'exports.countTokens = text => text.split(",").length;');
+
+        const tokenizer = resolveTokenizer(modulePath);
+
+        expect(tokenizer.name).toBe(modulePath);
+        expect(tokenizer.count('a,b,c')).toBe(3);
+    });
+
+    test('throws error for tokenizer modules that cannot be used', () => {
+        expect(() => resolveTokenizer(path.join(tmpDir.name, 'missing.js'))).toThrow(`Cannot load tokenizer: ${path.join(tmpDir.name, 'missing.js')}`);
+
+        const modulePath = path.join(tmpDir.name, 'empty.js');
+        fs.writeFileSync(modulePath, 'module.exports = {};');
+        expect(() => resolveTokenizer(modulePath)).toThrow(`Tokenizer ${modulePath} must export a function, countTokens or encode`);
+    });
+});